@@ -2,8 +2,34 @@ Module.register("MMM-IsraelNews", {
     defaults: {
         numLines: 4,
         scrollSpeed: 200,
-        updateInterval: 300, // 5 minutes (300 seconds)
+        displayMode: "scroll", // "scroll" (vertical rows), "pages" (numLines rows at a time, cross-faded) or "ticker" (one horizontal line, e.g. in bottom_bar)
+        pageInterval: 10, // Seconds each page is shown in "pages" mode
+        tickerSpeed: 60, // Ticker speed in pixels per second
+        updateInterval: 300, // 5 minutes (300 seconds); a source's own refreshInterval overrides it
+        maxBackoff: 3600, // Longest wait (seconds) before retrying a failing source
         newsHoursBack: 1, // Show news from the last 1 hour only
+        dedupe: true, // Merge the same headline published by several sources
+        dedupeThreshold: 0.75, // Headline similarity (0..1) at which two items are merged
+        dedupeWindowMinutes: 90, // Only merge items published this close together
+        excludeKeywords: [], // Hide headlines containing any of these words (Hebrew prefixes ignored)
+        includeKeywords: [], // Always show headlines containing these, even if excluded
+        excludePatterns: [], // Regex strings ("/.../flags" or bare, case-insensitive) to hide
+        includePatterns: [], // Regex strings that always show a headline
+        urgentRules: [], // e.g. [{ keywords: ["דחוף", "אזעקה"] }, { sources: ["kan.org.il"], maxAgeMinutes: 10 }]
+        urgentPinMinutes: 10, // Keep new urgent items pinned above the scroll area this long (0 = never pin)
+        urgentFlash: true, // Flash urgent rows once when they first arrive
+        newItemMarkerSeconds: 300, // Mark headlines that arrived in a refresh as new for this long (0 = off)
+        notifyNewItems: false, // Send ISRAELNEWS_NEW_ITEMS to other modules when new headlines arrive
+        persistCache: true, // Save headlines to disk and show them right after a restart
+        cacheMaxAgeHours: 12, // Saved headlines older than this are not shown after a restart
+        showSourceStatus: false, // Strip of source icons under the headlines; failing sources greyed out
+        showImages: false, // Small article image at the end of each row (downloaded and resized by the helper)
+        imageSize: 80, // Thumbnail width in pixels (height is 3/4 of it)
+        showDescription: false, // Summary line under headlines: true / "all", "top" (newest item only), "urgent" (urgent items only)
+        descriptionMaxLength: 140, // Summaries are cut at a word boundary to this many characters
+        caFile: null, // PEM file (or list) with extra CA certificates trusted for all sources, e.g. a filtering proxy's CA
+        proxy: null, // e.g. "http://proxy.local:8080" or "socks5://127.0.0.1:1080"; null = HTTPS_PROXY / NO_PROXY environment
+        renderer: null, // for type "rendered-html": "puppeteer" (default), "http" / { name: "http", url } or a module path; see README
         urls: [
             "https://www.ynet.co.il/Integration/StoryRss1854.xml",
             "https://www.inn.co.il/Rss.aspx",
@@ -23,6 +49,12 @@ Module.register("MMM-IsraelNews", {
             // Optional: kanIgnoreNewsHoursBack: true — show all כאן rows, ignore newsHoursBack
             // i24NEWS עדכונים (JSON API):
             // { type: "i24-news", url: "https://www.i24news.tv/he/news" }
+            // Pages built by JavaScript, loaded in a headless browser (see `renderer`):
+            // { type: "rendered-html", url: "https://example.com/live", selector: ".live-item", titleSelector: "h3" }
+            // Any JSON list of articles, with a path to the entries and field mappings:
+            // { type: "json", url: "https://example.com/api/news", itemsPath: "data.items", fields: { title: "headline", link: "https://example.com/{slug}" } }
+            // פיקוד העורף alerts for your area (full-width takeover while active):
+            // { type: "oref-alerts", areas: ["תל אביב"] }
         ]
     },
 
@@ -30,6 +62,25 @@ Module.register("MMM-IsraelNews", {
         Log.info("Starting module: " + this.name);
         this.newsItems = [];
         this.loaded = false;
+
+        // Per-source health from the helper (NEWS_RESULT `sources`) and the rendered status strip
+        this.sourceStatus = [];
+        this._statusStrip = null;
+
+        // Urgent items: first time each was seen (for pinning) and keys to flash on next render
+        this._urgentFirstSeen = new Map();
+        this._flashKeys = new Set();
+        this._pinExpiryTimer = null;
+
+        // New items (isNew from the helper): arrival time for the "new" marker, keys to animate
+        this._newArrivals = new Map();
+        this._arrivalKeys = new Set();
+        this._newMarkerTimer = null;
+
+        // Alerts (NEWS_RESULT `alerts`) by id: { alert, until }; the takeover shows while any runs
+        this._alerts = new Map();
+        this._alertTimer = null;
+        this._alertCountdown = null;
         
         // Initialize state management
         this.initializeState();
@@ -74,6 +125,7 @@ Module.register("MMM-IsraelNews", {
      * Stop JS smooth scroll (requestAnimationFrame). Call before DOM rebuild or suspend.
      */
     stopSmoothScroll: function () {
+        this._scrollState = null;
         if (this._scrollRafId != null) {
             cancelAnimationFrame(this._scrollRafId);
             this._scrollRafId = null;
@@ -94,6 +146,7 @@ Module.register("MMM-IsraelNews", {
             clearTimeout(this._viewportResizeDebounceTimer);
             this._viewportResizeDebounceTimer = null;
         }
+        this._clearPageTimer();
     },
 
     /**
@@ -140,18 +193,33 @@ Module.register("MMM-IsraelNews", {
     /**
      * Infinite vertical scroll using scrollTop only (no CSS transform animation).
      * Better on Raspberry Pi when GPU compositing is flaky.
+     * Position state lives in this._scrollState so incremental updates can rebase it.
      */
     _runSmoothScroll: function (viewport, container) {
         const self = this;
-        let loopHeight = 0;
         const measureLoop = () => {
             const h = container.scrollHeight;
             if (h < 2) return 0;
             return h / 2;
         };
 
+        // Start from the current scrollTop (0 for a fresh DOM; kept across suspend/resume)
+        const state = {
+            startTs: null,
+            basePx: viewport.scrollTop || 0,
+            loopHeight: 0,
+            durationMs: this._scrollDurationMs(container)
+        };
+        this._scrollState = state;
+
+        // Loop height changed (rows wrapped, fonts loaded): continue from the current position
         const syncLoopHeight = () => {
-            loopHeight = measureLoop();
+            const h = measureLoop();
+            if (h !== state.loopHeight) {
+                state.loopHeight = h;
+                state.basePx = viewport.scrollTop || 0;
+                state.startTs = null;
+            }
         };
         syncLoopHeight();
 
@@ -165,12 +233,9 @@ Module.register("MMM-IsraelNews", {
             this._scrollResizeObserver.observe(container);
         }
 
-        const durationSec = (this.newsItems.length * this.config.scrollSpeed) / 100;
-        if (durationSec <= 0) return;
+        if (state.durationMs <= 0) return;
 
         // Absolute timestamp position — frame-rate independent, no dt drift.
-        let startTs = null;
-        const durationMs = durationSec * 1000;
         const step = (ts) => {
             if (!viewport.isConnected) {
                 self._scrollRafId = null;
@@ -181,7 +246,7 @@ Module.register("MMM-IsraelNews", {
                 syncLoopHeight();
             }
 
-            if (loopHeight <= 0) {
+            if (state.loopHeight <= 0) {
                 self._scrollRafId = requestAnimationFrame(step);
                 return;
             }
@@ -191,8 +256,8 @@ Module.register("MMM-IsraelNews", {
                 return;
             }
 
-            if (startTs == null) startTs = ts;
-            viewport.scrollTop = ((ts - startTs) / durationMs * loopHeight) % loopHeight;
+            if (state.startTs == null) state.startTs = ts;
+            viewport.scrollTop = (state.basePx + (ts - state.startTs) / state.durationMs * state.loopHeight) % state.loopHeight;
 
             self._scrollRafId = requestAnimationFrame(step);
         };
@@ -200,6 +265,323 @@ Module.register("MMM-IsraelNews", {
         this._scrollRafId = requestAnimationFrame(step);
     },
 
+    /**
+     * Horizontal RTL ticker: the viewport is LTR and scrollLeft only ever counts down from its
+     * maximum, so the behaviour does not depend on how the browser numbers RTL scroll offsets.
+     * The track holds two copies of the headlines in reverse order (newest at the right end);
+     * moving left through them slides the text rightwards, so each headline's start comes into
+     * view first. Offset state lives in this._tickerState and survives a rebuild with the same items;
+     * after a rebuild with changed items, `anchor` (see _tickerAnchor) puts a headline that was on
+     * screen back where it was.
+     */
+    _runTicker: function (viewport, track, key, anchor) {
+        const self = this;
+        const copy = track.firstChild;
+        const speed = Math.max(1, parseFloat(this.config.tickerSpeed) || 60);
+        const previous = this._tickerState;
+        const state = {
+            key: key,
+            viewport: viewport,
+            startTs: null,
+            basePx: previous && previous.key === key ? previous.offsetPx : 0,
+            offsetPx: 0,
+            loopWidth: 0,
+            anchor: previous && previous.key === key ? null : anchor
+        };
+        state.offsetPx = state.basePx;
+        this._tickerState = state;
+
+        // One copy's width is the loop length; re-measure when fonts or icons change it
+        const syncLoopWidth = () => {
+            const w = copy ? copy.offsetWidth : 0;
+            if (w !== state.loopWidth) {
+                state.loopWidth = w;
+                state.basePx = state.loopWidth > 0 ? state.offsetPx % state.loopWidth : 0;
+                state.startTs = null;
+            }
+        };
+        syncLoopWidth();
+
+        if (typeof ResizeObserver !== "undefined" && copy) {
+            if (this._scrollResizeObserver) {
+                this._scrollResizeObserver.disconnect();
+            }
+            this._scrollResizeObserver = new ResizeObserver(() => {
+                syncLoopWidth();
+            });
+            this._scrollResizeObserver.observe(copy);
+        }
+
+        const step = (ts) => {
+            if (!viewport.isConnected) {
+                self._scrollRafId = null;
+                return;
+            }
+            if (typeof ResizeObserver === "undefined") {
+                syncLoopWidth();
+            }
+            if (state.loopWidth <= 0 || viewport.clientWidth <= 0) {
+                self._scrollRafId = requestAnimationFrame(step);
+                return;
+            }
+
+            // Headlines that fit on the line stand still (second copy hidden)
+            const fits = state.loopWidth <= viewport.clientWidth;
+            track.classList.toggle("news-ticker-static", fits);
+            const maxLeft = track.scrollWidth - viewport.clientWidth;
+            if (fits) {
+                state.startTs = null;
+                viewport.scrollLeft = Math.max(0, maxLeft);
+                self._scrollRafId = requestAnimationFrame(step);
+                return;
+            }
+
+            if (state.anchor) {
+                // Offset at which the anchor headline is at its old position in the viewport
+                const entry = Array.from(copy.children).find((child) => child.dataset.id === state.anchor.key);
+                if (entry) {
+                    const trackX = entry.getBoundingClientRect().left - track.getBoundingClientRect().left;
+                    const offset = (maxLeft - trackX + state.anchor.left) % state.loopWidth;
+                    state.basePx = offset < 0 ? offset + state.loopWidth : offset;
+                    state.startTs = null;
+                }
+                state.anchor = null;
+            }
+            if (state.startTs == null) state.startTs = ts;
+            state.offsetPx = (state.basePx + (ts - state.startTs) / 1000 * speed) % state.loopWidth;
+            viewport.scrollLeft = maxLeft - state.offsetPx;
+
+            self._scrollRafId = requestAnimationFrame(step);
+        };
+
+        this._scrollRafId = requestAnimationFrame(step);
+    },
+
+    /**
+     * Headline of the running ticker to keep in place across a rebuild with changed items: the
+     * rightmost one on screen that is still in `keys`, else the next one to come into view.
+     * Returns { key, left } (left edge relative to the viewport) or null.
+     */
+    _tickerAnchor: function (keys) {
+        const viewport = this._tickerState && this._tickerState.viewport;
+        if (!viewport || !viewport.isConnected || viewport.clientWidth <= 0) {
+            return null;
+        }
+        const view = viewport.getBoundingClientRect();
+        let visible = null;
+        let next = null;
+        viewport.querySelectorAll(".news-ticker-item").forEach((entry) => {
+            if (!keys.has(entry.dataset.id)) {
+                return;
+            }
+            const rect = entry.getBoundingClientRect();
+            const candidate = { key: entry.dataset.id, left: rect.left - view.left };
+            if (rect.right > view.left && rect.left < view.right) {
+                if (!visible || rect.left > visible.left + view.left) {
+                    visible = candidate;
+                }
+            } else if (rect.right <= view.left && (!next || rect.left > next.left + view.left)) {
+                next = candidate;
+            }
+        });
+        return visible || next;
+    },
+
+    /** One ticker entry: the source icon(s) as separator, then the headline. */
+    _createTickerItemElement: function (item) {
+        const entry = document.createElement("span");
+        entry.className = "news-ticker-item";
+        entry.dataset.id = this._itemKey(item);
+        if (item.urgent) {
+            entry.classList.add("news-item-urgent");
+        }
+        if (item.stale) {
+            entry.classList.add("news-item-stale");
+        }
+        if (this._isMarkedNew(item)) {
+            entry.classList.add("news-item-new");
+        }
+
+        const favicons = Array.isArray(item.favicons) && item.favicons.length > 0
+            ? item.favicons
+            : (item.favicon ? [item.favicon] : []);
+        favicons.forEach((favicon) => {
+            const faviconImg = document.createElement("img");
+            faviconImg.src = favicon;
+            faviconImg.className = "news-favicon";
+            faviconImg.alt = "";
+            faviconImg.onerror = function () { this.style.display = "none"; };
+            entry.appendChild(faviconImg);
+        });
+        if (favicons.length === 0) {
+            const bullet = document.createElement("span");
+            bullet.className = "news-ticker-bullet";
+            bullet.textContent = "•";
+            entry.appendChild(bullet);
+        }
+
+        const headline = document.createElement("span");
+        headline.className = "news-headline";
+        headline.textContent = item.title;
+        entry.appendChild(headline);
+        return entry;
+    },
+
+    /** Ticker line for getDom (displayMode "ticker"): every headline, pinned and urgent ones included. */
+    _createTicker: function (wrapper) {
+        wrapper.classList.add("news-ticker-mode");
+        const viewport = document.createElement("div");
+        viewport.className = "news-ticker-viewport";
+        const track = document.createElement("div");
+        track.className = "news-ticker-track";
+
+        // Two copies for the seamless loop, each newest-last so the newest ends up at the right
+        const ordered = this.newsItems.slice().reverse();
+        [0, 1].forEach(() => {
+            const copy = document.createElement("div");
+            copy.className = "news-ticker-copy";
+            ordered.forEach((item) => copy.appendChild(this._createTickerItemElement(item)));
+            track.appendChild(copy);
+        });
+        viewport.appendChild(track);
+        wrapper.appendChild(viewport);
+
+        this._tickerViewport = viewport;
+        this._tickerTrack = track;
+        this._tickerKey = this.newsItems.map((item) => this._itemKey(item)).join("\n");
+        this._flashKeys.clear();
+        this._arrivalKeys.clear();
+        // Measured now, while the outgoing ticker is still on screen
+        const anchor = this._tickerAnchor(new Set(this.newsItems.map((item) => this._itemKey(item))));
+
+        const self = this;
+        this._scrollStartTimeout = setTimeout(() => {
+            self._scrollStartTimeout = null;
+            requestAnimationFrame(() => self._runTicker(viewport, track, self._tickerKey, anchor));
+        }, 0);
+    },
+
+    /**
+     * Pages of numLines rows (displayMode "pages"), stacked in one viewport and cross-faded by
+     * CSS; the viewport height follows the visible page via _applyNumLinesViewportHeight. The
+     * current page and when it was shown survive a rebuild, so refreshes do not hold the flip back.
+     */
+    _createPages: function (wrapper, scrollItems, numLines) {
+        const viewport = document.createElement("div");
+        viewport.className = "news-pages-viewport";
+        const pages = [];
+        for (let i = 0; i < scrollItems.length; i += numLines) {
+            const page = document.createElement("div");
+            page.className = "news-container news-page";
+            scrollItems.slice(i, i + numLines).forEach((item) => page.appendChild(this._createNewsItemElement(item)));
+            viewport.appendChild(page);
+            pages.push(page);
+        }
+        wrapper.appendChild(viewport);
+
+        const indicator = document.createElement("div");
+        indicator.className = "news-page-indicator";
+        pages.forEach(() => {
+            const dot = document.createElement("span");
+            dot.className = "news-page-dot";
+            indicator.appendChild(dot);
+        });
+        wrapper.appendChild(indicator);
+
+        this._pagesViewport = viewport;
+        this._pages = pages;
+        this._pageDots = Array.from(indicator.children);
+        this._flashKeys.clear();
+        this._arrivalKeys.clear();
+        this._showPage(Math.min(this._pageIndex || 0, pages.length - 1), false);
+
+        const self = this;
+        this._scrollStartTimeout = setTimeout(() => {
+            self._scrollStartTimeout = null;
+            requestAnimationFrame(() => {
+                self._applyNumLinesViewportHeight(viewport, pages[self._pageIndex]);
+                self._schedulePageFlip();
+                if (typeof ResizeObserver !== "undefined") {
+                    if (self._viewportResizeObserver) {
+                        self._viewportResizeObserver.disconnect();
+                    }
+                    self._viewportResizeObserver = new ResizeObserver(() => {
+                        clearTimeout(self._viewportResizeDebounceTimer);
+                        self._viewportResizeDebounceTimer = setTimeout(() => {
+                            self._viewportResizeDebounceTimer = null;
+                            requestAnimationFrame(() => {
+                                self._applyNumLinesViewportHeight(viewport, self._pages[self._pageIndex]);
+                            });
+                        }, 80);
+                    });
+                    self._viewportResizeObserver.observe(wrapper);
+                }
+            });
+        }, 0);
+    },
+
+    /** Make page `index` the visible one (and its indicator dot); `measure` re-fits the viewport to it. */
+    _showPage: function (index, measure) {
+        if (index !== this._pageIndex || this._pageShownAt == null) {
+            this._pageShownAt = Date.now();
+        }
+        this._pageIndex = index;
+        this._pages.forEach((page, i) => page.classList.toggle("news-page-active", i === index));
+        this._pageDots.forEach((dot, i) => dot.classList.toggle("news-page-dot-active", i === index));
+        if (measure) {
+            this._applyNumLinesViewportHeight(this._pagesViewport, this._pages[index]);
+        }
+    },
+
+    /** Next page after what is left of pageInterval for the current one. */
+    _schedulePageFlip: function () {
+        this._clearPageTimer();
+        if (!this._pages || this._pages.length < 2) {
+            return;
+        }
+        const intervalMs = Math.max(2, parseFloat(this.config.pageInterval) || 10) * 1000;
+        const remaining = Math.max(0, intervalMs - (Date.now() - (this._pageShownAt || 0)));
+        this._pageTimer = setTimeout(() => {
+            this._pageTimer = null;
+            if (!this._pagesViewport || !this._pagesViewport.isConnected) {
+                return;
+            }
+            this._showPage((this._pageIndex + 1) % this._pages.length, true);
+            this._schedulePageFlip();
+        }, remaining);
+    },
+
+    _clearPageTimer: function () {
+        if (this._pageTimer) {
+            clearTimeout(this._pageTimer);
+            this._pageTimer = null;
+        }
+    },
+
+    /** Time for one full loop: scrollSpeed ms-per-row (÷100 as before) × rows in one copy. */
+    _scrollDurationMs: function (container) {
+        // Rows are rendered twice for the seamless loop; pinned urgent rows are not scrolled
+        const rowCount = container.querySelectorAll(".news-item").length / 2;
+        return (rowCount * this.config.scrollSpeed) / 100 * 1000;
+    },
+
+    /**
+     * Continue the running scroll from `scrollTopPx` after rows were inserted or removed,
+     * with loop height and duration re-measured for the new row set.
+     */
+    _rebaseSmoothScroll: function (viewport, container, scrollTopPx) {
+        const state = this._scrollState;
+        if (!state) {
+            return;
+        }
+        const h = container.scrollHeight;
+        state.loopHeight = h < 2 ? 0 : h / 2;
+        state.durationMs = this._scrollDurationMs(container);
+        state.basePx = state.loopHeight > 0 ? scrollTopPx % state.loopHeight : 0;
+        state.startTs = null;
+        viewport.scrollTop = state.basePx;
+    },
+
     clearAllTimers: function () {
         if (this.updateState.healthCheckId) {
             clearInterval(this.updateState.healthCheckId);
@@ -231,8 +613,28 @@ Module.register("MMM-IsraelNews", {
         Log.info("MMM-IsraelNews: Requesting news update at " + new Date().toLocaleTimeString());
         
         this.sendSocketNotification("GET_NEWS", {
+            identifier: this.identifier,
             urls: this.config.urls,
-            newsHoursBack: this.config.newsHoursBack
+            newsHoursBack: this.config.newsHoursBack,
+            updateInterval: this.config.updateInterval,
+            maxBackoff: this.config.maxBackoff,
+            dedupe: this.config.dedupe,
+            dedupeThreshold: this.config.dedupeThreshold,
+            dedupeWindowMinutes: this.config.dedupeWindowMinutes,
+            excludeKeywords: this.config.excludeKeywords,
+            includeKeywords: this.config.includeKeywords,
+            excludePatterns: this.config.excludePatterns,
+            includePatterns: this.config.includePatterns,
+            urgentRules: this.config.urgentRules,
+            persistCache: this.config.persistCache,
+            cacheMaxAgeHours: this.config.cacheMaxAgeHours,
+            showImages: this.config.showImages,
+            imageSize: this.config.imageSize,
+            showDescription: this.config.showDescription,
+            descriptionMaxLength: this.config.descriptionMaxLength,
+            caFile: this.config.caFile,
+            proxy: this.config.proxy,
+            renderer: this.config.renderer
         });
     },
 
@@ -287,17 +689,23 @@ Module.register("MMM-IsraelNews", {
     },
 
     socketNotificationReceived: function (notification, payload) {
+        // The helper is shared by every instance; only handle messages addressed to this one
+        if (!payload || payload.identifier !== this.identifier) {
+            return;
+        }
+
         Log.info("MMM-IsraelNews: Received notification: " + notification + " at " + new Date().toLocaleTimeString());
         
         if (notification === "NEWS_RESULT") {
-            const data = Array.isArray(payload) ? { items: payload, stale: false } : payload || { items: [] };
+            const data = payload;
             const items = data.items || [];
 
             Log.info(
                 "MMM-IsraelNews: Received " +
                     items.length +
                     " news item(s)" +
-                    (data.stale ? " — displaying cached headlines (network failed for all sources)" : "")
+                    (data.stale ? " — displaying cached headlines (network failed for all sources)" : "") +
+                    (items.some((item) => item.stale) ? " (" + items.filter((item) => item.stale).length + " from cache)" : "")
             );
 
             // Update state
@@ -310,18 +718,29 @@ Module.register("MMM-IsraelNews", {
                 Log.info("MMM-IsraelNews: Latest item date: " + items[0].pubDate);
             }
 
+            const alertSignature = this._alertSignature();
+            this._trackAlerts(data.alerts);
+            const alertsChanged = this._alertSignature() !== alertSignature;
+            if (alertsChanged) {
+                this._announceAlerts();
+            }
+
+            this._trackUrgentArrivals(items);
+            this._trackNewArrivals(items);
+            this._trackSourceStatus(data.sources);
             this.newsItems = items;
             this.loaded = true;
-            this.updateDom();
-        } else if (notification === "NEWS_ERROR") {
-            let msg;
-            if (typeof payload === "string") {
-                msg = payload;
-            } else if (payload && typeof payload === "object") {
-                msg = payload.detail || payload.message || JSON.stringify(payload);
+            if (!alertsChanged && this._getActiveAlerts().length > 0) {
+                return; // Takeover stays up; the ticker is rebuilt with these items when it clears
+            }
+            // Patch the running scroll in place when possible; rebuild only when layout changes
+            if (!alertsChanged && this._applyIncrementalUpdate()) {
+                this._refreshSourceStatusStrip();
             } else {
-                msg = String(payload);
+                this.updateDom();
             }
+        } else if (notification === "NEWS_ERROR") {
+            const msg = payload.detail || payload.message || JSON.stringify(payload);
             Log.error("MMM-IsraelNews: Fetch batch failed — " + msg);
 
             this.updateState.isRequestInProgress = false;
@@ -339,10 +758,13 @@ Module.register("MMM-IsraelNews", {
     stop: function () {
         Log.info("MMM-IsraelNews: Stopping module and clearing all timers");
         this.stopSmoothScroll();
+        this._clearPinExpiryTimer();
+        this._clearNewMarkerTimer();
+        this._clearAlertTimer();
         this.clearAllTimers();
         
-        // Tell backend to stop reloading
-        this.sendSocketNotification("STOP_NEWS");
+        // Tell backend to stop reloading this instance
+        this.sendSocketNotification("STOP_NEWS", { identifier: this.identifier });
         
         // Reset state
         if (this.updateState) {
@@ -354,10 +776,13 @@ Module.register("MMM-IsraelNews", {
     suspend: function () {
         Log.info("MMM-IsraelNews: Module suspended, clearing all timers");
         this.stopSmoothScroll();
+        this._clearPinExpiryTimer();
+        this._clearNewMarkerTimer();
+        this._clearAlertTimer();
         this.clearAllTimers();
         
-        // Tell backend to stop reloading
-        this.sendSocketNotification("STOP_NEWS");
+        // Tell backend to stop reloading this instance
+        this.sendSocketNotification("STOP_NEWS", { identifier: this.identifier });
         
         // Reset state
         if (this.updateState) {
@@ -371,6 +796,22 @@ Module.register("MMM-IsraelNews", {
         // Wait a moment to ensure any concurrent operations complete
         setTimeout(() => {
             this.startUpdateCycle();
+            // A takeover on screen: restart its countdown, or return to the ticker if it ran out meanwhile
+            if (this._alertCountdown && this._alertCountdown.isConnected) {
+                this.updateDom();
+                return;
+            }
+            // Carry on flipping pages from the one on screen
+            if (this._pagesViewport && this._pagesViewport.isConnected) {
+                this._schedulePageFlip();
+                return;
+            }
+            // Restart the ticker where it stopped
+            if (this._tickerViewport && this._tickerViewport.isConnected) {
+                this._stopScrollAnimationOnly();
+                this._runTicker(this._tickerViewport, this._tickerTrack, this._tickerKey);
+                return;
+            }
             // Restart JS scroll (suspend stops rAF; CSS animation did not need this)
             if (this._scrollViewport && this._scrollContainer &&
                 this._scrollViewport.isConnected && this._scrollContainer.isConnected) {
@@ -399,14 +840,579 @@ Module.register("MMM-IsraelNews", {
         }
     },
 
+    /** Stable key for an item across refreshes (helper-assigned id; link/title for old payloads). */
+    _itemKey: function (item) {
+        return item.id || item.link || item.title || "";
+    },
+
+    /** Changes when anything rendered for the item changes, so its row must be rebuilt. */
+    _itemSignature: function (item) {
+        return JSON.stringify(item) + (this._isMarkedNew(item) ? "|new" : "") + (this._showsSummary(item) ? "|summary" : "");
+    },
+
+    /** Whether the item's summary line is shown (showDescription: all, "top" = newest item, "urgent"). */
+    _showsSummary: function (item) {
+        const mode = this.config.showDescription;
+        if (!mode || !item.summary) {
+            return false;
+        }
+        if (mode === "top") {
+            return this._itemKey(item) === this._itemKey(this.newsItems[0] || {});
+        }
+        if (mode === "urgent") {
+            return !!item.urgent;
+        }
+        return true;
+    },
+
+    /**
+     * Record arrival time of items the helper flagged isNew, forget items no longer listed,
+     * and optionally tell other modules (ISRAELNEWS_NEW_ITEMS).
+     */
+    _trackNewArrivals: function (items) {
+        const now = Date.now();
+        const present = new Set(items.map((item) => this._itemKey(item)));
+        Array.from(this._newArrivals.keys()).forEach((key) => {
+            if (!present.has(key)) {
+                this._newArrivals.delete(key);
+            }
+        });
+
+        const newItems = items.filter((item) => item.isNew);
+        newItems.forEach((item) => {
+            const key = this._itemKey(item);
+            this._newArrivals.set(key, now);
+            this._arrivalKeys.add(key);
+        });
+
+        if (newItems.length > 0 && this.config.notifyNewItems) {
+            this.sendNotification("ISRAELNEWS_NEW_ITEMS", {
+                identifier: this.identifier,
+                count: newItems.length,
+                items: newItems.map((item) => ({
+                    id: item.id,
+                    title: item.title,
+                    link: item.link,
+                    pubDate: item.pubDate,
+                    source: item.source,
+                    urgent: !!item.urgent
+                }))
+            });
+        }
+        this._scheduleNewMarkerExpiry();
+    },
+
+    /** Keep the helper's per-source health and pass it on to other modules (ISRAELNEWS_SOURCE_STATUS). */
+    _trackSourceStatus: function (sources) {
+        if (!Array.isArray(sources)) {
+            return; // Restored cache from before the first fetch carries no status
+        }
+        this.sourceStatus = sources;
+        const failing = sources.filter((source) => !source.ok);
+        if (failing.length > 0) {
+            Log.warn("MMM-IsraelNews: Failing source(s): " + failing.map((source) => source.label + " (" + source.consecutiveFailures + "x)").join(", "));
+        }
+        this.sendNotification("ISRAELNEWS_SOURCE_STATUS", {
+            identifier: this.identifier,
+            sources: sources
+        });
+    },
+
+    /** Tooltip for one source in the status strip. */
+    _sourceStatusTitle: function (source) {
+        const when = (iso) => (iso ? new Date(iso).toLocaleString("he-IL") : "—");
+        const lines = [source.label, "Last success: " + when(source.lastSuccess)];
+        if (source.itemCount != null) {
+            lines.push("Items: " + source.itemCount);
+        }
+        if (!source.ok) {
+            lines.push("Failing (" + source.consecutiveFailures + "x) since " + when(source.lastErrorAt) + ": " + source.lastError);
+        }
+        return lines.join("\n");
+    },
+
+    /** Status strip: one icon per source, `news-source-failing` (greyed out) while a source fails. */
+    _createSourceStatusElement: function () {
+        const strip = document.createElement("div");
+        strip.className = "news-source-status";
+        strip._statusSignature = this._sourceStatusSignature();
+        this.sourceStatus.forEach((source) => {
+            const entry = document.createElement("span");
+            entry.className = "news-source " + (source.ok ? "news-source-ok" : "news-source-failing");
+            entry.title = this._sourceStatusTitle(source);
+            if (source.favicon) {
+                const img = document.createElement("img");
+                img.src = source.favicon;
+                img.className = "news-source-icon";
+                img.alt = source.label;
+                entry.appendChild(img);
+            } else {
+                let host = source.label;
+                try {
+                    host = new URL(source.label).hostname.replace(/^www\./, "");
+                } catch (e) {
+                    // not a URL; show the label as is
+                }
+                entry.textContent = host;
+            }
+            strip.appendChild(entry);
+        });
+        return strip;
+    },
+
+    _sourceStatusSignature: function () {
+        return JSON.stringify(this.sourceStatus.map((source) => [source.label, source.favicon, source.ok, source.consecutiveFailures, source.itemCount]));
+    },
+
+    /** After an in-place update, swap the strip only if a source's status changed. */
+    _refreshSourceStatusStrip: function () {
+        const strip = this._statusStrip;
+        if (!strip || !strip.isConnected || strip._statusSignature === this._sourceStatusSignature()) {
+            return;
+        }
+        const replacement = this._createSourceStatusElement();
+        strip.parentNode.replaceChild(replacement, strip);
+        this._statusStrip = replacement;
+    },
+
+    /**
+     * Start the countdown of each alert not seen before (durationSeconds from when the helper first
+     * saw it), cut short the ones an all-clear ("האירוע הסתיים") covers, and forget alerts the helper
+     * no longer lists once they ran out.
+     */
+    _trackAlerts: function (alerts) {
+        if (!Array.isArray(alerts)) {
+            return; // Restored cache carries no alerts
+        }
+        const now = Date.now();
+        const listed = new Set();
+        // Oref groups places differently from one message to the next ("שדרות, איבים"): compare single places
+        const places = (areas) => [].concat.apply([], areas.map((area) => area.split(",").map((part) => part.trim())));
+        alerts.forEach((alert) => {
+            listed.add(alert.id);
+            if (alert.ended) {
+                const cleared = places(alert.areas);
+                this._alerts.forEach((entry) => {
+                    if (places(entry.alert.areas).some((place) => cleared.indexOf(place) !== -1)) {
+                        entry.until = Math.min(entry.until, now);
+                    }
+                });
+                return;
+            }
+            const entry = this._alerts.get(alert.id);
+            if (entry) {
+                entry.alert = alert; // The same alert can grow to more areas
+            } else {
+                const start = Date.parse(alert.receivedAt) || now;
+                this._alerts.set(alert.id, { alert: alert, until: start + (Number(alert.durationSeconds) || 600) * 1000 });
+            }
+        });
+        this._alerts.forEach((entry, id) => {
+            if (!listed.has(id) && entry.until <= now) {
+                this._alerts.delete(id);
+            }
+        });
+    },
+
+    /** Alerts whose countdown is still running. */
+    _getActiveAlerts: function () {
+        const now = Date.now();
+        return Array.from(this._alerts.values()).filter((entry) => entry.until > now);
+    },
+
+    _alertSignature: function () {
+        return JSON.stringify(this._getActiveAlerts().map((entry) => [entry.alert.id, entry.alert.areas]));
+    },
+
+    /** Tell other modules the takeover started, changed or cleared (ISRAELNEWS_ALERT). */
+    _announceAlerts: function () {
+        const active = this._getActiveAlerts();
+        if (active.length > 0) {
+            Log.warn("MMM-IsraelNews: Alert takeover — " + active.map((entry) => entry.alert.areas.join(", ")).join("; "));
+        } else {
+            Log.info("MMM-IsraelNews: Alert takeover cleared");
+        }
+        this.sendNotification("ISRAELNEWS_ALERT", {
+            identifier: this.identifier,
+            active: active.length > 0,
+            alerts: active.map((entry) => Object.assign({}, entry.alert, { until: new Date(entry.until).toISOString() }))
+        });
+    },
+
+    _clearAlertTimer: function () {
+        if (this._alertTimer != null) {
+            clearInterval(this._alertTimer);
+            this._alertTimer = null;
+        }
+    },
+
+    /** m:ss until the last active alert clears. */
+    _alertCountdownText: function (active) {
+        const until = Math.max.apply(null, active.map((entry) => entry.until));
+        const seconds = Math.max(0, Math.ceil((until - Date.now()) / 1000));
+        return Math.floor(seconds / 60) + ":" + String(seconds % 60).padStart(2, "0");
+    },
+
+    /** Full-width alert: titles, matched areas, instructions and the countdown. */
+    _createAlertTakeover: function (active) {
+        const unique = (values) => values.filter((value, index) => value && values.indexOf(value) === index);
+        const takeover = document.createElement("div");
+        takeover.className = "news-alert-takeover";
+
+        const title = document.createElement("div");
+        title.className = "news-alert-title";
+        title.textContent = unique(active.map((entry) => entry.alert.title)).join(" · ");
+        takeover.appendChild(title);
+
+        const areas = document.createElement("div");
+        areas.className = "news-alert-areas";
+        areas.textContent = unique([].concat.apply([], active.map((entry) => entry.alert.areas))).join(", ");
+        takeover.appendChild(areas);
+
+        const description = unique(active.map((entry) => entry.alert.description)).join(" ");
+        if (description) {
+            const desc = document.createElement("div");
+            desc.className = "news-alert-description";
+            desc.textContent = description;
+            takeover.appendChild(desc);
+        }
+
+        const countdown = document.createElement("div");
+        countdown.className = "news-alert-countdown";
+        countdown.textContent = this._alertCountdownText(active);
+        takeover.appendChild(countdown);
+        this._alertCountdown = countdown;
+        return takeover;
+    },
+
+    /** Tick the countdown every second; when the last alert runs out, go back to the ticker. */
+    _startAlertCountdown: function () {
+        this._clearAlertTimer();
+        this._alertTimer = setInterval(() => {
+            const active = this._getActiveAlerts();
+            if (active.length === 0) {
+                this._clearAlertTimer();
+                this._announceAlerts();
+                this.updateDom();
+                return;
+            }
+            if (this._alertCountdown) {
+                this._alertCountdown.textContent = this._alertCountdownText(active);
+            }
+        }, 1000);
+    },
+
+    /** True while an item is within newItemMarkerSeconds of its arrival. */
+    _isMarkedNew: function (item) {
+        const markerMs = (Number(this.config.newItemMarkerSeconds) || 0) * 1000;
+        const arrived = this._newArrivals ? this._newArrivals.get(this._itemKey(item)) : null;
+        return markerMs > 0 && arrived != null && Date.now() - arrived < markerMs;
+    },
+
+    _clearNewMarkerTimer: function () {
+        if (this._newMarkerTimer != null) {
+            clearTimeout(this._newMarkerTimer);
+            this._newMarkerTimer = null;
+        }
+    },
+
+    /** Refresh rows when the earliest "new" marker expires (in place when the scroll allows). */
+    _scheduleNewMarkerExpiry: function () {
+        this._clearNewMarkerTimer();
+        const markerMs = (Number(this.config.newItemMarkerSeconds) || 0) * 1000;
+        if (markerMs <= 0 || this._newArrivals.size === 0) {
+            return;
+        }
+        const now = Date.now();
+        const pending = Array.from(this._newArrivals.values())
+            .map((arrived) => arrived + markerMs)
+            .filter((expiry) => expiry > now);
+        if (pending.length === 0) {
+            return;
+        }
+        this._newMarkerTimer = setTimeout(() => {
+            this._newMarkerTimer = null;
+            if (!this._applyIncrementalUpdate()) {
+                this.updateDom();
+            }
+            this._scheduleNewMarkerExpiry();
+        }, Math.max(1000, Math.min.apply(null, pending) - now + 50));
+    },
+
+    /**
+     * Remember when each urgent item was first seen; items new in this result flash once
+     * on the next render (if urgentFlash is on).
+     */
+    _trackUrgentArrivals: function (items) {
+        const now = Date.now();
+        const present = new Set();
+        items.forEach((item) => {
+            if (!item.urgent) {
+                return;
+            }
+            const key = this._itemKey(item);
+            present.add(key);
+            if (!this._urgentFirstSeen.has(key)) {
+                this._urgentFirstSeen.set(key, now);
+                if (this.config.urgentFlash && this.loaded) {
+                    this._flashKeys.add(key);
+                }
+            }
+        });
+        // Forget items that dropped out of the list
+        Array.from(this._urgentFirstSeen.keys()).forEach((key) => {
+            if (!present.has(key)) {
+                this._urgentFirstSeen.delete(key);
+            }
+        });
+    },
+
+    /** Urgent items (from newsItems) first seen less than urgentPinMinutes ago. */
+    _getPinnedItems: function () {
+        const pinMs = (Number(this.config.urgentPinMinutes) || 0) * 60 * 1000;
+        if (pinMs <= 0) {
+            return [];
+        }
+        const now = Date.now();
+        return this.newsItems.filter((item) => {
+            const seen = item.urgent ? this._urgentFirstSeen.get(this._itemKey(item)) : null;
+            return seen != null && now - seen < pinMs;
+        });
+    },
+
+    _clearPinExpiryTimer: function () {
+        if (this._pinExpiryTimer != null) {
+            clearTimeout(this._pinExpiryTimer);
+            this._pinExpiryTimer = null;
+        }
+    },
+
+    /** Re-render when the earliest pinned item's pin window ends, moving it back into the scroll. */
+    _schedulePinExpiry: function () {
+        this._clearPinExpiryTimer();
+        const pinMs = (Number(this.config.urgentPinMinutes) || 0) * 60 * 1000;
+        const pinned = this._getPinnedItems();
+        if (pinMs <= 0 || pinned.length === 0) {
+            return;
+        }
+        const now = Date.now();
+        const nextExpiry = Math.min.apply(null, pinned.map((item) => this._urgentFirstSeen.get(this._itemKey(item)) + pinMs));
+        this._pinExpiryTimer = setTimeout(() => {
+            this._pinExpiryTimer = null;
+            this.updateDom();
+        }, Math.max(1000, nextExpiry - now));
+    },
+
+    /** One headline row: favicon(s) and time, the headline text (and summary), then the thumbnail (showImages). */
+    _createNewsItemElement: function (item) {
+        const newsItem = document.createElement("div");
+        newsItem.className = "news-item";
+        newsItem.dataset.id = this._itemKey(item);
+        newsItem._newsSignature = this._itemSignature(item);
+        if (this._isMarkedNew(item)) {
+            newsItem.classList.add("news-item-new");
+            if (this._arrivalKeys.has(this._itemKey(item))) {
+                newsItem.classList.add("news-item-arrived");
+            }
+        }
+        if (item.stale) {
+            // Source failed this refresh; row comes from its last good fetch
+            newsItem.classList.add("news-item-stale");
+        }
+        if (item.urgent) {
+            newsItem.classList.add("news-item-urgent");
+            if (this._flashKeys.has(this._itemKey(item))) {
+                newsItem.classList.add("news-item-flash");
+            }
+        }
+
+        // Create favicon and timestamp container
+        const iconTimeContainer = document.createElement("div");
+        iconTimeContainer.className = "news-icon-time";
+
+        // Create favicon image element(s) — merged duplicates carry one icon per source
+        const favicons = Array.isArray(item.favicons) && item.favicons.length > 0
+            ? item.favicons
+            : (item.favicon ? [item.favicon] : []);
+        if (favicons.length > 0) {
+            const faviconGroup = document.createElement("div");
+            faviconGroup.className = favicons.length > 1 ? "news-favicons news-favicons-merged" : "news-favicons";
+            favicons.forEach((favicon) => {
+                const faviconImg = document.createElement("img");
+                faviconImg.src = favicon;
+                faviconImg.className = "news-favicon";
+                faviconImg.alt = item.source || "";
+                faviconImg.onerror = function () { this.style.visibility = "hidden"; this.style.width = "0"; this.style.margin = "0"; };
+                faviconGroup.appendChild(faviconImg);
+            });
+            iconTimeContainer.appendChild(faviconGroup);
+        }
+
+        // Format the timestamp from pubDate
+        if (item.pubDate) {
+            const date = new Date(item.pubDate);
+            if (!isNaN(date.getTime())) {
+                // Check if this is a future date and log it
+                const now = new Date();
+                if (date > now) {
+                    Log.warn("MMM-IsraelNews: Displaying future news item from " + item.source);
+                }
+                
+                const timeStamp = date.toLocaleTimeString('he-IL', {
+                    hour: '2-digit',
+                    minute: '2-digit'
+                });
+                const timeElement = document.createElement("span");
+                timeElement.className = "news-time";
+                timeElement.textContent = timeStamp;
+                iconTimeContainer.appendChild(timeElement);
+            }
+        }
+
+        // Create headline container
+        const headlineContainer = document.createElement("div");
+        headlineContainer.className = "news-headline";
+        if (newsItem.classList.contains("news-item-new")) {
+            const badge = document.createElement("span");
+            badge.className = "news-new-badge";
+            badge.textContent = "חדש";
+            headlineContainer.appendChild(badge);
+        }
+        headlineContainer.appendChild(document.createTextNode(item.title));
+        if (this._showsSummary(item)) {
+            const summary = document.createElement("div");
+            summary.className = "news-description";
+            summary.textContent = item.summary;
+            headlineContainer.appendChild(summary);
+        }
+
+        // Add both containers to the news item
+        newsItem.appendChild(iconTimeContainer);
+        newsItem.appendChild(headlineContainer);
+
+        // Thumbnail cached by the helper (item.thumbnail is relative to the module folder)
+        if (this.config.showImages && item.thumbnail) {
+            const size = parseInt(this.config.imageSize, 10) || 80;
+            const thumbnail = document.createElement("img");
+            thumbnail.className = "news-thumbnail";
+            thumbnail.src = this.file(item.thumbnail);
+            thumbnail.alt = "";
+            // Fixed box so the row height is known before the image loads (numLines viewport)
+            thumbnail.style.width = size + "px";
+            thumbnail.style.height = Math.round(size * 0.75) + "px";
+            thumbnail.onerror = function () { this.style.display = "none"; };
+            newsItem.appendChild(thumbnail);
+        }
+        return newsItem;
+    },
+
+    /**
+     * Diff this.newsItems against the rows in the running scroll by item id: insert new rows,
+     * drop expired ones and reuse unchanged ones, keeping the row at the top of the viewport
+     * where it was. Returns false when a full getDom() rebuild is needed instead (no active
+     * scroll, pinned rows changed, or too few rows left to scroll).
+     */
+    _applyIncrementalUpdate: function () {
+        const viewport = this._scrollViewport;
+        const container = this._scrollContainer;
+        if (!viewport || !container || !viewport.isConnected || !this._scrollState) {
+            return false;
+        }
+
+        const pinnedItems = this._getPinnedItems();
+        if (pinnedItems.map((item) => this._itemSignature(item)).join("\n") !== this._renderedPinnedSignature) {
+            return false;
+        }
+        const scrollItems = this.newsItems.filter((item) => pinnedItems.indexOf(item) === -1);
+        const numLines = Math.max(1, parseInt(this.config.numLines, 10) || 4);
+        if (scrollItems.length <= numLines) {
+            return false;
+        }
+
+        const oldRows = Array.from(container.querySelectorAll(".news-item"));
+        const half = oldRows.length / 2;
+        const newKeys = new Set(scrollItems.map((item) => this._itemKey(item)));
+
+        // Anchor on the row crossing the top edge; if it is expiring, on the next surviving row
+        const scrollTop = viewport.scrollTop;
+        let anchor = null;
+        const topIndex = oldRows.findIndex((row) => row.offsetTop + row.offsetHeight > scrollTop);
+        for (let k = Math.max(0, topIndex); k < oldRows.length; k++) {
+            if (newKeys.has(oldRows[k].dataset.id)) {
+                anchor = {
+                    key: oldRows[k].dataset.id,
+                    copy: k < half ? 0 : 1,
+                    delta: k === topIndex ? scrollTop - oldRows[k].offsetTop : 0
+                };
+                break;
+            }
+        }
+
+        const existing = [new Map(), new Map()];
+        oldRows.forEach((row, index) => {
+            existing[index < half ? 0 : 1].set(row.dataset.id, row);
+        });
+
+        const fragment = document.createDocumentFragment();
+        const used = new Set();
+        let anchorRow = null;
+        let added = 0;
+        [0, 1].forEach((copy) => {
+            scrollItems.forEach((item) => {
+                const key = this._itemKey(item);
+                let row = existing[copy].get(key);
+                if (!row || used.has(row) || row._newsSignature !== this._itemSignature(item)) {
+                    if (copy === 0 && !existing[0].has(key)) {
+                        added++;
+                    }
+                    row = this._createNewsItemElement(item);
+                }
+                used.add(row);
+                if (anchor && anchor.key === key && anchor.copy === copy) {
+                    anchorRow = row;
+                }
+                fragment.appendChild(row);
+            });
+        });
+        const removed = Array.from(existing[0].keys()).filter((key) => !newKeys.has(key)).length;
+
+        while (container.firstChild) {
+            container.removeChild(container.firstChild);
+        }
+        container.appendChild(fragment);
+        this._flashKeys.clear();
+        this._arrivalKeys.clear();
+
+        this._applyNumLinesViewportHeight(viewport, container);
+        this._rebaseSmoothScroll(viewport, container, anchorRow ? anchorRow.offsetTop + anchor.delta : 0);
+
+        Log.info("MMM-IsraelNews: Incremental update — " + added + " new, " + removed + " removed row(s)");
+        return true;
+    },
+
     getDom: function () {
         this.stopSmoothScroll();
         this._scrollViewport = null;
         this._scrollContainer = null;
+        this._tickerViewport = null;
+        this._tickerTrack = null;
+        this._pagesViewport = null;
+        this._statusStrip = null;
+        this._alertCountdown = null;
 
         const wrapper = document.createElement("div");
         wrapper.className = "MMM-IsraelNews";
 
+        // An active alert replaces the headlines until its countdown ends
+        const activeAlerts = this._getActiveAlerts();
+        if (activeAlerts.length > 0) {
+            wrapper.classList.add("news-alert-active");
+            wrapper.appendChild(this._createAlertTakeover(activeAlerts));
+            this._startAlertCountdown();
+            return wrapper;
+        }
+        this._clearAlertTimer();
+
         if (!this.loaded) {
             wrapper.innerHTML = "Loading news...";
             return wrapper;
@@ -414,72 +1420,49 @@ Module.register("MMM-IsraelNews", {
 
         if (this.newsItems.length === 0) {
             wrapper.innerHTML = "No news available";
+            this._appendSourceStatus(wrapper);
             return wrapper;
         }
 
-        const newsContainer = document.createElement("div");
-        newsContainer.className = "news-container";
+        if (this.config.displayMode === "ticker") {
+            this._createTicker(wrapper);
+            this._appendSourceStatus(wrapper);
+            return wrapper;
+        }
 
-        // Create news items and duplicate them for seamless loop
-        const createNewsItems = () => {
-            this.newsItems.forEach((item) => {
-                const newsItem = document.createElement("div");
-                newsItem.className = "news-item";
-
-                // Create favicon and timestamp container
-                const iconTimeContainer = document.createElement("div");
-                iconTimeContainer.className = "news-icon-time";
-
-                // Create favicon image element
-                if (item.favicon) {
-                    const faviconImg = document.createElement("img");
-                    faviconImg.src = item.favicon;
-                    faviconImg.className = "news-favicon";
-                    faviconImg.alt = item.source || "";
-                    faviconImg.onerror = function () { this.style.visibility = "hidden"; this.style.width = "0"; this.style.margin = "0"; };
-                    iconTimeContainer.appendChild(faviconImg);
-                }
+        // Urgent items still inside their pin window sit above the scrolling area
+        const pinnedItems = this._getPinnedItems();
+        const scrollItems = this.newsItems.filter((item) => pinnedItems.indexOf(item) === -1);
+        this._renderedPinnedSignature = pinnedItems.map((item) => this._itemSignature(item)).join("\n");
+        this._schedulePinExpiry();
 
-                // Format the timestamp from pubDate
-                if (item.pubDate) {
-                    const date = new Date(item.pubDate);
-                    if (!isNaN(date.getTime())) {
-                        // Check if this is a future date and log it
-                        const now = new Date();
-                        if (date > now) {
-                            Log.warn("MMM-IsraelNews: Displaying future news item from " + item.source);
-                        }
-                        
-                        const timeStamp = date.toLocaleTimeString('he-IL', {
-                            hour: '2-digit',
-                            minute: '2-digit'
-                        });
-                        const timeElement = document.createElement("span");
-                        timeElement.className = "news-time";
-                        timeElement.textContent = timeStamp;
-                        iconTimeContainer.appendChild(timeElement);
-                    }
-                }
+        if (pinnedItems.length > 0) {
+            const pinnedContainer = document.createElement("div");
+            pinnedContainer.className = "news-pinned";
+            pinnedItems.forEach((item) => {
+                pinnedContainer.appendChild(this._createNewsItemElement(item));
+            });
+            wrapper.appendChild(pinnedContainer);
+        }
 
-                // Create headline container
-                const headlineContainer = document.createElement("div");
-                headlineContainer.className = "news-headline";
-                headlineContainer.textContent = item.title;
+        const numLines = Math.max(1, parseInt(this.config.numLines, 10) || 4);
 
-                // Add both containers to the news item
-                newsItem.appendChild(iconTimeContainer);
-                newsItem.appendChild(headlineContainer);
-                newsContainer.appendChild(newsItem);
-            });
-        };
+        if (this.config.displayMode === "pages" && scrollItems.length > numLines) {
+            this._createPages(wrapper, scrollItems, numLines);
+            this._appendSourceStatus(wrapper);
+            return wrapper;
+        }
 
-        // Add items twice for seamless infinite scroll
-        createNewsItems();
-        createNewsItems();
+        const newsContainer = document.createElement("div");
+        newsContainer.className = "news-container";
 
-        const numLines = Math.max(1, parseInt(this.config.numLines, 10) || 4);
+        // Add items twice for seamless infinite scroll
+        scrollItems.forEach((item) => newsContainer.appendChild(this._createNewsItemElement(item)));
+        scrollItems.forEach((item) => newsContainer.appendChild(this._createNewsItemElement(item)));
+        this._flashKeys.clear();
+        this._arrivalKeys.clear();
 
-        if (this.newsItems.length > numLines) {
+        if (scrollItems.length > numLines) {
             const viewport = document.createElement("div");
             viewport.className = "news-scroll-viewport";
             viewport.appendChild(newsContainer);
@@ -523,9 +1506,17 @@ Module.register("MMM-IsraelNews", {
             wrapper.appendChild(newsContainer);
         }
 
+        this._appendSourceStatus(wrapper);
         return wrapper;
     },
 
+    _appendSourceStatus: function (wrapper) {
+        if (this.config.showSourceStatus && this.sourceStatus.length > 0) {
+            this._statusStrip = this._createSourceStatusElement();
+            wrapper.appendChild(this._statusStrip);
+        }
+    },
+
     // Debug method to check update status
     getUpdateStatus: function () {
         if (!this.updateState) {
@@ -0,0 +1,186 @@
+/**
+ * Publication dates for scraped pages and כאן rows: machine formats, Hebrew relative expressions
+ * ("לפני 5 דקות", "אתמול 22:10"), time-only and dotted dates, read with Luxon in Israel time
+ * (or a source's `timeZone`) rather than the process time zone.
+ */
+const { DateTime } = require("luxon");
+
+/** Zone for dates written without one: Israeli sites show local civil time. */
+const ISRAEL_TIMEZONE = "Asia/Jerusalem";
+
+/** Month names in dates like "19 באוקטובר 2026" (month = index + 1). */
+const HEBREW_MONTHS = ["ינואר", "פברואר", "מרץ", "אפריל", "מאי", "יוני", "יולי", "אוגוסט", "ספטמבר", "אוקטובר", "נובמבר", "דצמבר"];
+
+/** Milliseconds per unit after "לפני" (singular, plural and dual forms). */
+const RELATIVE_UNITS = {
+    "שנייה": 1000,
+    "שניה": 1000,
+    "שניות": 1000,
+    "דקה": 60 * 1000,
+    "דקות": 60 * 1000,
+    "שעה": 60 * 60 * 1000,
+    "שעות": 60 * 60 * 1000,
+    "שעתיים": 2 * 60 * 60 * 1000,
+    "יום": 24 * 60 * 60 * 1000,
+    "ימים": 24 * 60 * 60 * 1000,
+    "יומיים": 2 * 24 * 60 * 60 * 1000,
+    "שבוע": 7 * 24 * 60 * 60 * 1000,
+    "שבועות": 7 * 24 * 60 * 60 * 1000,
+    "שבועיים": 14 * 24 * 60 * 60 * 1000
+};
+
+/** A time-only value this far after now is from yesterday (a page listing 23:50 just after midnight). */
+const FUTURE_TOLERANCE_MINUTES = 5;
+
+/** ISO timestamp for a KAN row in `zone` (default Asia/Jerusalem), not the process local TZ. */
+function parseKanFlashPubDate(dateToken, timeText, zone) {
+    const z = zone || ISRAEL_TIMEZONE;
+    if (!dateToken || !timeText) {
+        return DateTime.now().setZone(z).toISO();
+    }
+    const dm = String(dateToken).match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
+    const tm = String(timeText).trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!dm || !tm) {
+        return DateTime.now().setZone(z).toISO();
+    }
+    const [, dd, mm, yyyy] = dm;
+    const [, hh, mi] = tm;
+    const dt = DateTime.fromObject(
+        {
+            year: parseInt(yyyy, 10),
+            month: parseInt(mm, 10),
+            day: parseInt(dd, 10),
+            hour: parseInt(hh, 10),
+            minute: parseInt(mi, 10)
+        },
+        { zone: z }
+    );
+    return dt.isValid ? dt.toISO() : DateTime.now().setZone(z).toISO();
+}
+
+/** Milliseconds for the words after "לפני": "5 דקות", "כ-10 דקות", "שעה", "שעתיים", "חצי שעה"; null if not a duration. */
+function relativeMs(text) {
+    const m = text.replace(/^כ[-־]?\s*/, "").match(/^(?:(\d+|רבע|חצי)\s*)?([א-ת]+)/);
+    if (!m || !RELATIVE_UNITS[m[2]]) {
+        return null;
+    }
+    const amount = m[1] === "רבע" ? 0.25 : m[1] === "חצי" ? 0.5 : m[1] ? parseInt(m[1], 10) : 1;
+    return amount * RELATIVE_UNITS[m[2]];
+}
+
+/** Day named in the text: dotted / slashed date, Hebrew month name, or היום / אתמול / שלשום. */
+function dayIn(value, now) {
+    const dotted = value.match(/(?:^|[^\d])(\d{1,2})[./](\d{1,2})(?:[./](\d{4}|\d{2}))?(?![\d.:/])/);
+    if (dotted) {
+        const year = dotted[3] ? parseInt(dotted[3], 10) : null;
+        return {
+            day: parseInt(dotted[1], 10),
+            month: parseInt(dotted[2], 10),
+            year: year != null && year < 100 ? 2000 + year : year
+        };
+    }
+    const named = value.match(new RegExp("(\\d{1,2})\\s+ב?(" + HEBREW_MONTHS.join("|") + "|מרס)(?:\\s+(\\d{4}))?"));
+    if (named) {
+        return {
+            day: parseInt(named[1], 10),
+            month: named[2] === "מרס" ? 3 : HEBREW_MONTHS.indexOf(named[2]) + 1,
+            year: named[3] ? parseInt(named[3], 10) : null
+        };
+    }
+    const offset = /שלשום/.test(value) ? 2 : /אתמול/.test(value) ? 1 : /היום/.test(value) ? 0 : null;
+    if (offset == null) {
+        return null;
+    }
+    const date = now.minus({ days: offset });
+    return { day: date.day, month: date.month, year: date.year, offset: offset };
+}
+
+/**
+ * Publication date of a scraped row as an ISO string (with offset), or null when the text is
+ * not a date. Tried in order: the source's `dateFormat` (Luxon tokens, one or a list), Unix
+ * seconds / milliseconds (e.g. a `data-time` attribute), ISO 8601 / RFC 2822 / HTTP dates, "עכשיו", "לפני N דקות|שעות|ימים", then a day (dd.mm[.yyyy], dd/mm,
+ * "19 באוקטובר", היום / אתמול / שלשום) and / or a time (HH:MM). A time alone is today, or
+ * yesterday if it is still ahead; a date without a year is the most recent one; a day without a
+ * time is its start (today and day words: the current time).
+ *
+ * @param {string} text - the date text (or `datetime` attribute) from the page
+ * @param {{ dateFormat?: string|string[], timeZone?: string, now?: Date }} [options]
+ * @returns {string|null}
+ */
+function parseScrapedDate(text, options) {
+    const opts = options || {};
+    const zone = opts.timeZone || ISRAEL_TIMEZONE;
+    const now = (opts.now ? DateTime.fromJSDate(opts.now) : DateTime.now()).setZone(zone);
+    const value = String(text || "").replace(/\s+/g, " ").trim();
+    if (!value || !now.isValid) {
+        return null;
+    }
+
+    const formats = opts.dateFormat == null ? [] : [].concat(opts.dateFormat);
+    for (const format of formats) {
+        for (const locale of ["he", "en"]) {
+            const dt = DateTime.fromFormat(value, String(format), { zone: zone, locale: locale });
+            if (dt.isValid) {
+                return dt.toISO();
+            }
+        }
+    }
+
+    if (/^\d{10}(\d{3})?$/.test(value)) {
+        const ms = value.length === 10 ? parseInt(value, 10) * 1000 : parseInt(value, 10);
+        return DateTime.fromMillis(ms, { zone: zone }).toISO();
+    }
+    const machine = [
+        /^\d{4}-\d{2}-\d{2}/.test(value) ? DateTime.fromISO(value, { zone: zone }) : null,
+        DateTime.fromRFC2822(value, { zone: zone }),
+        DateTime.fromHTTP(value, { zone: zone })
+    ].find((dt) => dt && dt.isValid);
+    if (machine) {
+        return machine.toISO();
+    }
+
+    if (/^(עכשיו|כעת|הרגע|ממש עכשיו)$/.test(value)) {
+        return now.toISO();
+    }
+    const relative = value.match(/לפני\s+(.+)$/);
+    if (relative) {
+        const ms = relativeMs(relative[1]);
+        return ms != null ? now.minus(ms).toISO() : null;
+    }
+
+    const time = value.match(/(?:^|[^\d])(\d{1,2}):(\d{2})(?::(\d{2}))?(?![\d:])/);
+    const day = dayIn(value, now);
+    if (!day && !time) {
+        return null;
+    }
+    if (day && !time && (day.offset != null || (day.day === now.day && day.month === now.month && (day.year == null || day.year === now.year)))) {
+        return now.minus({ days: day.offset || 0 }).toISO();
+    }
+
+    const base = day || { day: now.day, month: now.month, year: now.year };
+    let dt = DateTime.fromObject(
+        {
+            year: base.year != null ? base.year : now.year,
+            month: base.month,
+            day: base.day,
+            hour: time ? parseInt(time[1], 10) : 0,
+            minute: time ? parseInt(time[2], 10) : 0,
+            second: time && time[3] ? parseInt(time[3], 10) : 0
+        },
+        { zone: zone }
+    );
+    if (!dt.isValid) {
+        return null;
+    }
+    if (!day && dt > now.plus({ minutes: FUTURE_TOLERANCE_MINUTES })) {
+        dt = dt.minus({ days: 1 });
+    } else if (day && base.year == null && dt > now.plus({ days: 1 })) {
+        dt = dt.minus({ years: 1 });
+    }
+    return dt.toISO();
+}
+
+module.exports = {
+    parseKanFlashPubDate,
+    parseScrapedDate
+};
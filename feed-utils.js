@@ -0,0 +1,503 @@
+/**
+ * Raw feed handling for the node helper: charset detection / decoding,
+ * cleanup of malformed XML before it is handed to rss-parser, source type sniffing,
+ * and Atom / JSON Feed / generic JSON mapping to the module's item shape.
+ */
+const cheerio = require("cheerio");
+
+/** HTML named entities that show up in Israeli RSS feeds but are not defined in XML. */
+const HTML_ENTITIES = {
+    nbsp: 160,
+    shy: 173,
+    laquo: 171,
+    raquo: 187,
+    middot: 183,
+    copy: 169,
+    reg: 174,
+    ndash: 8211,
+    mdash: 8212,
+    lsquo: 8216,
+    rsquo: 8217,
+    sbquo: 8218,
+    ldquo: 8220,
+    rdquo: 8221,
+    bdquo: 8222,
+    bull: 8226,
+    hellip: 8230,
+    trade: 8482,
+    euro: 8364,
+    lrm: 8206,
+    rlm: 8207,
+    zwnj: 8204,
+    zwj: 8205
+};
+
+const XML_ENTITIES = ["amp", "lt", "gt", "quot", "apos"];
+
+/** TextDecoder for `label`, or null when the runtime does not know that charset. */
+function decoderFor(label) {
+    try {
+        return new TextDecoder(label);
+    } catch (err) {
+        return null;
+    }
+}
+
+/** Hebrew single-byte charsets (TextDecoder names). */
+const HEBREW_CHARSETS = ["windows-1255", "iso-8859-8", "iso-8859-8-i"];
+
+/** TextDecoder name of a charset label, or null when unknown. */
+function charsetName(label) {
+    const decoder = label ? decoderFor(label) : null;
+    return decoder ? decoder.encoding : null;
+}
+
+/**
+ * Decode a feed body to a string. Order: BOM, Content-Type charset, XML declaration,
+ * then UTF-8. If the header charset yields U+FFFD but the declaration names another
+ * charset (common with windows-1255 / ISO-8859-8 feeds), the declaration wins.
+ * A declaration naming a Hebrew charset also wins over a different single-byte header charset
+ * (servers often send `charset=ISO-8859-1` by default): Latin charsets decode any byte without
+ * U+FFFD, so the garbled text would not be noticed. A UTF-8 header keeps its turn, since
+ * non-UTF-8 bytes show up as U+FFFD.
+ *
+ * @param {Buffer} buffer - raw response bytes
+ * @param {string} [contentType] - Content-Type header
+ * @returns {{ text: string, encoding: string }}
+ */
+function decodeFeedBody(buffer, contentType) {
+    const buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer || "");
+    if (buf.length >= 3 && buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) {
+        return { text: new TextDecoder("utf-8").decode(buf.subarray(3)), encoding: "utf-8" };
+    }
+    if (buf.length >= 2 && buf[0] === 0xff && buf[1] === 0xfe) {
+        return { text: new TextDecoder("utf-16le").decode(buf.subarray(2)), encoding: "utf-16le" };
+    }
+    if (buf.length >= 2 && buf[0] === 0xfe && buf[1] === 0xff) {
+        return { text: new TextDecoder("utf-16be").decode(buf.subarray(2)), encoding: "utf-16be" };
+    }
+
+    const headerMatch = /charset\s*=\s*["']?([\w.:-]+)/i.exec(contentType || "");
+    const declMatch = /^\s*<\?xml[^>]*encoding\s*=\s*["']([\w.:-]+)["']/i.exec(buf.subarray(0, 512).toString("latin1"));
+    const headerCharset = headerMatch ? headerMatch[1].toLowerCase() : null;
+    const declCharset = declMatch ? declMatch[1].toLowerCase() : null;
+
+    const headerName = charsetName(headerCharset);
+    const declName = charsetName(declCharset);
+    const declFirst =
+        HEBREW_CHARSETS.includes(declName) && headerName !== "utf-8" && !HEBREW_CHARSETS.includes(headerName);
+    const candidates = (declFirst ? [declCharset, headerCharset] : [headerCharset, declCharset])
+        .concat("utf-8")
+        .filter(Boolean);
+    let first = null;
+    for (const label of candidates) {
+        const decoder = decoderFor(label);
+        if (!decoder) {
+            continue;
+        }
+        const text = decoder.decode(buf);
+        if (!first) {
+            first = { text, encoding: decoder.encoding };
+        }
+        if (!text.includes("\uFFFD")) {
+            return { text, encoding: decoder.encoding };
+        }
+    }
+    return first || { text: buf.toString("utf8"), encoding: "utf-8" };
+}
+
+/**
+ * Fix the usual reasons a feed fails to parse as XML: leading junk before the prolog,
+ * control characters, HTML-only named entities and stray `&`. CDATA sections are left as-is.
+ *
+ * @param {string} xml
+ * @returns {{ xml: string, repairs: string[] }} repairs - e.g. ["control-chars(3)", "stray-ampersand(2)"]
+ */
+function sanitizeXml(xml) {
+    const counts = {
+        "leading-junk": 0,
+        "control-chars": 0,
+        "html-entities": 0,
+        "stray-ampersand": 0
+    };
+
+    let text = String(xml || "");
+    const start = text.search(/<\?xml|<rss|<feed|<rdf:RDF/i);
+    if (start > 0) {
+        counts["leading-junk"] = 1;
+        text = text.slice(start);
+    }
+
+    const stripControlChars = (segment) =>
+        segment.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, () => {
+            counts["control-chars"]++;
+            return "";
+        });
+
+    const fixEntities = (segment) =>
+        segment.replace(/&(#\d+;|#x[0-9a-fA-F]+;|[A-Za-z][A-Za-z0-9]*;)?/g, (match, entity) => {
+            if (!entity) {
+                counts["stray-ampersand"]++;
+                return "&amp;";
+            }
+            if (entity[0] === "#") {
+                return match;
+            }
+            const name = entity.slice(0, -1);
+            if (XML_ENTITIES.includes(name)) {
+                return match;
+            }
+            if (HTML_ENTITIES[name] != null) {
+                counts["html-entities"]++;
+                return "&#" + HTML_ENTITIES[name] + ";";
+            }
+            counts["stray-ampersand"]++;
+            return "&amp;" + entity;
+        });
+
+    // Entities are only fixed outside CDATA; CDATA content is literal
+    text = text
+        .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+        .map((part) => (part.startsWith("<![CDATA[") ? stripControlChars(part) : fixEntities(stripControlChars(part))))
+        .join("");
+
+    const repairs = Object.keys(counts)
+        .filter((key) => counts[key] > 0)
+        .map((key) => key + "(" + counts[key] + ")");
+    return { xml: text, repairs };
+}
+
+/** `<link rel="alternate">` types that point at a feed the module can read. */
+const FEED_LINK_TYPES = ["application/rss+xml", "application/atom+xml", "application/rdf+xml", "application/feed+json"];
+
+/**
+ * Decide how to read a URL whose source has no `type`, from its response:
+ * the body and Content-Type (`<rss`/`<rdf:RDF`, Atom `<feed`, JSON Feed), then feed discovery
+ * via `<link rel="alternate" type="application/rss+xml">` on HTML pages.
+ *
+ * @param {string} body - decoded response body
+ * @param {string} contentType - Content-Type header (may be empty)
+ * @param {string} pageUrl - URL that was fetched (for resolving discovered links)
+ * @returns {{ type: "rss"|"atom"|"json-feed"|"json"|"html", url: string, reason: string }}
+ */
+function detectSourceType(body, contentType, pageUrl) {
+    const ct = String(contentType || "").toLowerCase();
+    const head = String(body || "").slice(0, 2048).replace(/^\uFEFF/, "").trimStart();
+
+    if (/<feed[\s>]/i.test(head) && !/<rss[\s>]|<rdf:RDF[\s>]/i.test(head)) {
+        return { type: "atom", url: pageUrl, reason: "Atom markup" };
+    }
+    if (/(rss|atom|rdf)\+xml/.test(ct)) {
+        return { type: ct.includes("atom+xml") ? "atom" : "rss", url: pageUrl, reason: "content-type " + ct.split(";")[0] };
+    }
+    if (/<rss[\s>]|<rdf:RDF[\s>]/i.test(head)) {
+        return { type: "rss", url: pageUrl, reason: "feed markup" };
+    }
+    if (ct.includes("json") || /^[[{]/.test(head)) {
+        if (/"version"\s*:\s*"https?:\/\/jsonfeed\.org\/version\//.test(head)) {
+            return { type: "json-feed", url: pageUrl, reason: "JSON Feed version" };
+        }
+        return { type: "json", url: pageUrl, reason: ct.includes("json") ? "content-type " + ct.split(";")[0] : "JSON body" };
+    }
+    if (ct.includes("xml") && !/<html[\s>]/i.test(head)) {
+        return { type: "rss", url: pageUrl, reason: "content-type " + ct.split(";")[0] };
+    }
+
+    const $ = cheerio.load(body || "");
+    let feedHref = null;
+    let feedType = "rss";
+    $("link[rel~='alternate'][href]").each((_, el) => {
+        const type = String($(el).attr("type") || "").toLowerCase();
+        if (!feedHref && FEED_LINK_TYPES.includes(type)) {
+            feedHref = $(el).attr("href");
+            feedType = type === "application/atom+xml" ? "atom" : type === "application/feed+json" ? "json-feed" : "rss";
+        }
+    });
+    if (feedHref) {
+        try {
+            return { type: feedType, url: new URL(feedHref, pageUrl).toString(), reason: "feed discovery" };
+        } catch (err) {
+            // Unusable href: fall through to HTML
+        }
+    }
+    return { type: "html", url: pageUrl, reason: "HTML page without feed link" };
+}
+
+/** Plain text of an HTML fragment (Atom `type="html"` text, JSON Feed content_html). */
+function htmlToText(html) {
+    if (!html) {
+        return "";
+    }
+    return cheerio.load(String(html)).root().text().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Parse an Atom 1.0 document into items: `published` (else `updated`) → pubDate,
+ * `summary` (else `content`) → description, media thumbnail / image enclosure → image,
+ * entry (else feed) `author/name` → author.
+ */
+function atomToItems(xml, feedUrl) {
+    const $ = cheerio.load(xml, { xmlMode: true, decodeEntities: true });
+    const feed = $("feed").first();
+    if (feed.length === 0) {
+        throw new Error("Not an Atom feed (no <feed> element)");
+    }
+    const authorNames = ($scope) =>
+        $scope
+            .children("author")
+            .map((_, el) => $(el).children("name").first().text().trim())
+            .get()
+            .filter(Boolean);
+    const feedAuthors = authorNames(feed);
+
+    const textOf = ($el) => {
+        if ($el.length === 0) {
+            return "";
+        }
+        const type = $el.attr("type");
+        if (type === "xhtml") {
+            return htmlToText($el.html());
+        }
+        return type === "html" ? htmlToText($el.text()) : $el.text().trim();
+    };
+
+    return feed
+        .children("entry")
+        .map((_, el) => {
+            const $entry = $(el);
+            const links = $entry.children("link");
+            const alternate = links.filter((__, l) => !$(l).attr("rel") || $(l).attr("rel") === "alternate").first();
+            let link = alternate.attr("href") || links.first().attr("href") || "";
+            if (link) {
+                try {
+                    link = new URL(link, feedUrl).toString();
+                } catch (err) {
+                    // Keep the raw href
+                }
+            }
+            const imageEnclosure = links.filter((__, l) => $(l).attr("rel") === "enclosure" && /^image\//.test($(l).attr("type") || "")).first();
+            const image =
+                $entry.children("media\\:thumbnail").first().attr("url") ||
+                $entry.find("media\\:content[medium='image']").first().attr("url") ||
+                imageEnclosure.attr("href") ||
+                "";
+            const authors = authorNames($entry);
+            const item = {
+                title: textOf($entry.children("title").first()) || "No title",
+                link: link,
+                pubDate: $entry.children("published").first().text().trim() || $entry.children("updated").first().text().trim(),
+                description: textOf($entry.children("summary").first()) || textOf($entry.children("content").first()),
+                source: feedUrl
+            };
+            if (image) {
+                item.image = image;
+            }
+            if (authors.length > 0 || feedAuthors.length > 0) {
+                item.author = (authors.length > 0 ? authors : feedAuthors).join(", ");
+            }
+            return item;
+        })
+        .get();
+}
+
+/**
+ * Map a JSON Feed 1.0/1.1 object: `date_published` (else `date_modified`) → pubDate,
+ * `summary` (else content text) → description, `image`/`banner_image` → image,
+ * `authors` (1.1) / `author` (1.0), item-level then feed-level → author.
+ */
+function jsonFeedToItems(feed, feedUrl) {
+    if (!feed || typeof feed !== "object" || !Array.isArray(feed.items)) {
+        throw new Error("Not a JSON Feed (no items array)");
+    }
+    const authorNames = (obj) => {
+        const list = Array.isArray(obj.authors) ? obj.authors : obj.author ? [obj.author] : [];
+        return list.map((a) => (a && a.name ? String(a.name) : "")).filter(Boolean);
+    };
+    const feedAuthors = authorNames(feed);
+
+    return feed.items.map((entry) => {
+        const text = entry.content_text || htmlToText(entry.content_html);
+        let link = entry.url || entry.external_url || "";
+        if (link) {
+            try {
+                link = new URL(link, feed.home_page_url || feedUrl).toString();
+            } catch (err) {
+                // Keep the raw value
+            }
+        }
+        const item = {
+            title: entry.title || (text ? text.slice(0, 140) : "No title"),
+            link: link,
+            pubDate: entry.date_published || entry.date_modified || "",
+            description: entry.summary || text || "",
+            source: feedUrl
+        };
+        const image = entry.image || entry.banner_image;
+        if (image) {
+            item.image = image;
+        }
+        const authors = authorNames(entry);
+        if (authors.length > 0 || feedAuthors.length > 0) {
+            item.author = (authors.length > 0 ? authors : feedAuthors).join(", ");
+        }
+        return item;
+    });
+}
+
+/** Field names tried (in order) for a generic JSON entry when `fields` does not map the field. */
+const JSON_DEFAULT_FIELDS = {
+    title: ["title", "headline", "name"],
+    link: ["link", "url", "href"],
+    pubDate: ["pubDate", "date", "published", "publishedAt", "published_at", "createdAt", "created_at", "updatedAt", "updated_at"],
+    description: ["description", "summary", "excerpt"],
+    image: ["image", "imageUrl", "image_url", "thumbnail"]
+};
+
+/** Value at a dotted path ("data.items", "media.0.url" or "media[0].url"); the value itself for "" or "$". */
+function valueAtPath(value, path) {
+    if (path == null || path === "" || path === "$") {
+        return value;
+    }
+    return String(path)
+        .replace(/\[(\d+)\]/g, ".$1")
+        .split(".")
+        .filter(Boolean)
+        .reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
+
+/** A `fields` mapping: a dotted path, or a template with `{path}` placeholders ("https://example.com/news/{id}"). */
+function mapJsonField(entry, mapping) {
+    if (!mapping.includes("{")) {
+        return valueAtPath(entry, mapping);
+    }
+    return mapping.replace(/\{([^{}]+)\}/g, (_, path) => {
+        const value = valueAtPath(entry, path.trim());
+        return value == null ? "" : String(value);
+    });
+}
+
+/** ISO date for a JSON date value; numbers (or digit strings) are epoch seconds or milliseconds. */
+function jsonDate(value) {
+    if (typeof value === "number" || /^\d{9,13}$/.test(String(value))) {
+        const n = Number(value);
+        const date = new Date(n < 1e11 ? n * 1000 : n);
+        return isNaN(date.getTime()) ? "" : date.toISOString();
+    }
+    return value ? String(value) : "";
+}
+
+/**
+ * Map any JSON list of articles (`type: "json"`). `itemsPath` is the dotted path to the entries
+ * (default: the body if it is an array, else its first array property); `fields` maps title / link /
+ * pubDate / description / image to a dotted path or `{path}` template, and unmapped fields try
+ * common names (JSON_DEFAULT_FIELDS). Entries without a title are skipped.
+ *
+ * @param {*} data - parsed JSON body
+ * @param {{ itemsPath?: string, fields?: Object<string, string> }} options - the source options
+ * @param {string} feedUrl - URL that was fetched (item `source`, base for relative links)
+ */
+function jsonApiToItems(data, options, feedUrl) {
+    const opts = options || {};
+    let entries = valueAtPath(data, opts.itemsPath);
+    if (!opts.itemsPath && entries && typeof entries === "object" && !Array.isArray(entries)) {
+        entries = Object.values(entries).find(Array.isArray);
+    }
+    if (!Array.isArray(entries)) {
+        throw new Error(opts.itemsPath ? "No array at itemsPath '" + opts.itemsPath + "'" : "No items array in the JSON body; set itemsPath");
+    }
+    const fields = opts.fields || {};
+    const field = (entry, name) => {
+        if (fields[name]) {
+            return mapJsonField(entry, String(fields[name]));
+        }
+        const key = JSON_DEFAULT_FIELDS[name].find((k) => entry[k] != null && entry[k] !== "");
+        return key ? entry[key] : undefined;
+    };
+    const text = (value) => (value == null || typeof value === "object" ? "" : htmlToText(String(value)));
+    const url = (value) => {
+        const raw = value && typeof value === "object" ? value.url || value.href : value;
+        if (raw == null || typeof raw === "object" || raw === "") {
+            return "";
+        }
+        try {
+            return new URL(String(raw), feedUrl).toString();
+        } catch (err) {
+            return String(raw);
+        }
+    };
+
+    return entries
+        .filter((entry) => entry && typeof entry === "object")
+        .map((entry) => {
+            const title = text(field(entry, "title"));
+            if (!title) {
+                return null;
+            }
+            const item = {
+                title: title,
+                link: url(field(entry, "link")),
+                pubDate: jsonDate(field(entry, "pubDate")),
+                description: text(field(entry, "description")),
+                source: feedUrl
+            };
+            const image = url(field(entry, "image"));
+            if (image) {
+                item.image = image;
+            }
+            return item;
+        })
+        .filter(Boolean);
+}
+
+/** Looks like an image file from its URL (for enclosures and media entries without a type). */
+const IMAGE_URL_RE = /\.(jpe?g|png|gif|webp|avif)(?:[?#]|$)/i;
+
+/** First `<img>` in an HTML fragment that is not a 1×1 tracking pixel; "" when there is none. */
+function imageInHtml(html) {
+    const tags = String(html || "").match(/<img\b[^>]*>/gi) || [];
+    for (const tag of tags) {
+        const src = tag.match(/\bsrc\s*=\s*["']([^"']+)["']/i);
+        if (src && !/\b(?:width|height)\s*=\s*["']?[01](?:px)?["'\s/>]/i.test(tag)) {
+            return src[1].replace(/&amp;/g, "&");
+        }
+    }
+    return "";
+}
+
+/**
+ * Lead image of an rss-parser item: an image `enclosure`, `media:content` (an image medium or
+ * type, or an image URL), `media:thumbnail`, else the first real `<img>` in the content or
+ * description. Relative URLs are resolved against `baseUrl`; "" when there is none.
+ */
+function rssItemImage(item, baseUrl) {
+    const attrs = (value) => [].concat(value || []).map((entry) => (entry && entry.$) || entry || {});
+    const isImage = (url, type, medium) => !!url && (medium === "image" || /^image\//.test(type || "") || (!type && !medium && IMAGE_URL_RE.test(url)));
+    const enclosure = item.enclosure && isImage(item.enclosure.url, item.enclosure.type) ? item.enclosure.url : "";
+    const media = attrs(item.mediaContent).find((entry) => isImage(entry.url, entry.type, entry.medium));
+    const thumbnail = attrs(item.mediaThumbnail).find((entry) => entry.url);
+    const image =
+        enclosure ||
+        (media && media.url) ||
+        (thumbnail && thumbnail.url) ||
+        imageInHtml(item["content:encoded"]) ||
+        imageInHtml(item.content) ||
+        imageInHtml(item.description);
+    if (!image) {
+        return "";
+    }
+    try {
+        return new URL(image, baseUrl).toString();
+    } catch (err) {
+        return image;
+    }
+}
+
+module.exports = {
+    decodeFeedBody,
+    sanitizeXml,
+    detectSourceType,
+    atomToItems,
+    jsonFeedToItems,
+    jsonApiToItems,
+    rssItemImage
+};
@@ -0,0 +1,397 @@
+/**
+ * Headline text helpers shared by the node helper: Hebrew normalization,
+ * cross-source duplicate detection, keyword filters, urgent-item rules and description summaries.
+ */
+const crypto = require("crypto");
+const cheerio = require("cheerio");
+const Log = require("logger");
+
+/** Niqqud and cantillation marks (U+0591–U+05C7), excluding maqaf and sof pasuq. */
+const HEBREW_MARKS_RE = /[\u0591-\u05BD\u05BF\u05C1-\u05C2\u05C4-\u05C5\u05C7]/g;
+
+/** Quote-like characters: geresh/gershayim, ASCII and typographic quotes. */
+const QUOTES_RE = /[\u05F3\u05F4"'`\u2018\u2019\u201C\u201D\u201E]/g;
+
+/** Strip niqqud, quotes and punctuation so headlines from different sites compare equal. */
+function normalizeHebrewText(text) {
+    if (!text) {
+        return "";
+    }
+    return String(text)
+        .normalize("NFC")
+        .replace(HEBREW_MARKS_RE, "")
+        .replace(QUOTES_RE, "")
+        .replace(/[^\p{L}\p{N}]+/gu, " ")
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * Stable id for an item across refreshes: source, link and normalized title
+ * (HTML/Kan rows may all share the page URL as link, so the title is part of the key).
+ */
+function headlineId(item) {
+    const key = [item.source || "", item.link || "", normalizeHebrewText(item.title)].join("\n");
+    return crypto.createHash("sha1").update(key).digest("hex").slice(0, 16);
+}
+
+/** Character bigrams of a normalized string (spaces dropped so word splits do not matter). */
+function bigrams(text) {
+    const compact = text.replace(/\s+/g, "");
+    const grams = new Map();
+    for (let i = 0; i < compact.length - 1; i++) {
+        const g = compact.slice(i, i + 2);
+        grams.set(g, (grams.get(g) || 0) + 1);
+    }
+    return grams;
+}
+
+/** Sørensen–Dice coefficient of two normalized strings, 0..1. */
+function textSimilarity(a, b) {
+    if (!a || !b) {
+        return 0;
+    }
+    if (a === b) {
+        return 1;
+    }
+    const ga = bigrams(a);
+    const gb = bigrams(b);
+    let total = 0;
+    ga.forEach((n) => (total += n));
+    gb.forEach((n) => (total += n));
+    if (total === 0) {
+        return 0;
+    }
+    let overlap = 0;
+    ga.forEach((n, g) => {
+        if (gb.has(g)) {
+            overlap += Math.min(n, gb.get(g));
+        }
+    });
+    return (2 * overlap) / total;
+}
+
+function itemTime(item) {
+    const t = item.pubDate ? new Date(item.pubDate).getTime() : NaN;
+    return isNaN(t) ? null : t;
+}
+
+/**
+ * Collapse near-identical headlines from different sources published within `windowMinutes` of each other.
+ * The earliest item of a cluster is kept; `favicons` and `sources` list every source
+ * that carried it so the row can show a cluster of icons, and `memberIds` the ids of all its copies.
+ *
+ * @param {object[]} items - merged items from all sources
+ * @param {{ threshold?: number, windowMinutes?: number }} [options]
+ * @returns {{ items: object[], merged: number }}
+ */
+function dedupeNewsItems(items, options) {
+    const opts = options || {};
+    const threshold = typeof opts.threshold === "number" ? opts.threshold : 0.75;
+    const windowMs = (typeof opts.windowMinutes === "number" ? opts.windowMinutes : 90) * 60 * 1000;
+
+    const clusters = [];
+    let merged = 0;
+
+    items.forEach((item) => {
+        const norm = normalizeHebrewText(item.title);
+        const time = itemTime(item);
+        const match = norm
+            ? clusters.find((c) => {
+                if (time != null && c.time != null && Math.abs(time - c.time) > windowMs) {
+                    return false;
+                }
+                // Only copies from different sources merge; one outlet's repeated flashes stay separate rows
+                if (item.source && c.items.some((it) => it.source === item.source)) {
+                    return false;
+                }
+                return textSimilarity(norm, c.norm) >= threshold;
+            })
+            : null;
+
+        if (!match) {
+            clusters.push({ norm, time, items: [item] });
+            return;
+        }
+        match.items.push(item);
+        if (time != null && (match.time == null || time < match.time)) {
+            match.time = time;
+        }
+        merged++;
+    });
+
+    const out = clusters.map((c) => {
+        if (c.items.length === 1) {
+            return c.items[0];
+        }
+        const primary = c.items.reduce((best, it) => {
+            const t = itemTime(it);
+            const bt = itemTime(best);
+            return t != null && (bt == null || t < bt) ? it : best;
+        });
+        const favicons = primary.favicon ? [primary.favicon] : [];
+        const sources = primary.source ? [primary.source] : [];
+        c.items.forEach((it) => {
+            if (it.favicon && !favicons.includes(it.favicon)) {
+                favicons.push(it.favicon);
+            }
+            if (it.source && !sources.includes(it.source)) {
+                sources.push(it.source);
+            }
+        });
+        const memberIds = [primary.id].concat(c.items.filter((it) => it !== primary).map((it) => it.id)).filter(Boolean);
+        const mergedItem = { ...primary, favicons, sources, memberIds };
+        // A merged row is stale only if every source's copy is stale
+        if (!c.items.every((it) => it.stale)) {
+            delete mergedItem.stale;
+        }
+        return mergedItem;
+    });
+
+    return { items: out, merged };
+}
+
+/** One-letter Hebrew prefixes (ו, ה, ב, ל, מ, ש, כ) that attach to the following word. */
+const HEBREW_PREFIXES = "\u05D5\u05D4\u05D1\u05DC\u05DE\u05E9\u05DB";
+
+/**
+ * A word plus the forms left after stripping up to three leading prefixes
+ * (בירושלים → ירושלים, וכשהצבא → צבא). Stems shorter than three letters are not produced.
+ */
+function wordForms(word) {
+    const forms = [word];
+    let rest = word;
+    for (let i = 0; i < 3 && rest.length > 3 && HEBREW_PREFIXES.includes(rest[0]); i++) {
+        rest = rest.slice(1);
+        forms.push(rest);
+    }
+    return forms;
+}
+
+/** Words of a headline, each with its prefix-stripped forms (see wordForms). */
+function tokenize(text) {
+    const norm = normalizeHebrewText(text);
+    return norm ? norm.split(" ").map(wordForms) : [];
+}
+
+/**
+ * Words of a keyword as written: only headline words lose their prefixes, so "שביתה" does not
+ * become "ביתה" and match "לביתה".
+ */
+function keywordWords(keyword) {
+    const norm = normalizeHebrewText(keyword);
+    return norm ? norm.split(" ") : [];
+}
+
+/** True when the keyword's words appear as consecutive words of the text, ignoring the text's prefixes. */
+function matchesKeyword(textTokens, keywordTokens) {
+    if (keywordTokens.length === 0) {
+        return false;
+    }
+    for (let i = 0; i + keywordTokens.length <= textTokens.length; i++) {
+        const hit = keywordTokens.every((word, k) => textTokens[i + k].includes(word));
+        if (hit) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/** "/pattern/flags" or a bare pattern (case-insensitive). Returns null if invalid. */
+function parsePattern(pattern) {
+    const str = String(pattern);
+    const m = str.match(/^\/(.+)\/([a-z]*)$/);
+    try {
+        return m ? new RegExp(m[1], m[2]) : new RegExp(str, "iu");
+    } catch (err) {
+        Log.warn("MMM-IsraelNews: Ignoring invalid filter pattern " + str + " — " + err.message);
+        return null;
+    }
+}
+
+function asList(value) {
+    if (value == null) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Build keyword rules from `includeKeywords` / `excludeKeywords` / `includePatterns` /
+ * `excludePatterns` on one or more option objects (module config, source config).
+ * `scope` is prefixed to each rule label for logging.
+ */
+function compileKeywordRules(optionSets) {
+    const include = [];
+    const exclude = [];
+    optionSets.forEach(({ options, scope }) => {
+        if (!options || typeof options !== "object") {
+            return;
+        }
+        const prefix = scope ? "[" + scope + "] " : "";
+        const addKeywords = (list, target, kind) => {
+            asList(list).forEach((kw) => {
+                const tokens = keywordWords(kw);
+                if (tokens.length > 0) {
+                    target.push({
+                        label: prefix + kind + ' "' + kw + '"',
+                        test: (item) => matchesKeyword(item._filterTokens, tokens)
+                    });
+                }
+            });
+        };
+        const addPatterns = (list, target, kind) => {
+            asList(list).forEach((pattern) => {
+                const re = parsePattern(pattern);
+                if (re) {
+                    target.push({
+                        label: prefix + kind + " " + re,
+                        test: (item) => {
+                            re.lastIndex = 0;
+                            return re.test(item.title || "");
+                        }
+                    });
+                }
+            });
+        };
+        addKeywords(options.includeKeywords, include, "include");
+        addKeywords(options.excludeKeywords, exclude, "exclude");
+        addPatterns(options.includePatterns, include, "includePattern");
+        addPatterns(options.excludePatterns, exclude, "excludePattern");
+    });
+    return { include, exclude };
+}
+
+/**
+ * Drop items matching an exclude rule unless an include rule matches (include always wins).
+ * Titles are matched; keywords ignore niqqud, punctuation and Hebrew prefixes.
+ *
+ * @returns {{ items: object[], dropped: Map<string, number> }} dropped counts per rule label
+ */
+function filterByKeywords(items, rules) {
+    const dropped = new Map();
+    if (!rules || rules.exclude.length === 0) {
+        return { items, dropped };
+    }
+    const kept = items.filter((item) => {
+        const probe = { title: item.title, _filterTokens: tokenize(item.title) };
+        if (rules.include.some((rule) => rule.test(probe))) {
+            return true;
+        }
+        const rule = rules.exclude.find((r) => r.test(probe));
+        if (!rule) {
+            return true;
+        }
+        dropped.set(rule.label, (dropped.get(rule.label) || 0) + 1);
+        return false;
+    });
+    return { items: kept, dropped };
+}
+
+/**
+ * Compile `urgentRules` from the module config. Each rule may set `keywords`, `sources`
+ * (substring of the source URL) and `maxAgeMinutes`; all fields set on one rule must match,
+ * and an item is urgent when any rule matches.
+ */
+function compileUrgentRules(rules) {
+    return asList(rules)
+        .filter((rule) => rule && typeof rule === "object")
+        .map((rule, index) => ({
+            label: rule.name || "rule " + (index + 1),
+            keywords: asList(rule.keywords).map(keywordWords).filter((t) => t.length > 0),
+            sources: asList(rule.sources).map((src) => String(src).toLowerCase()),
+            maxAgeMs: typeof rule.maxAgeMinutes === "number" ? rule.maxAgeMinutes * 60 * 1000 : null
+        }))
+        .filter((rule) => rule.keywords.length > 0 || rule.sources.length > 0 || rule.maxAgeMs != null);
+}
+
+/** Set `urgent` (and `urgentRule`, the matching rule label) on items matching a compiled rule. */
+function markUrgentItems(items, rules, now) {
+    if (!rules || rules.length === 0) {
+        return items;
+    }
+    const nowMs = now != null ? now : Date.now();
+    return items.map((item) => {
+        const tokens = tokenize(item.title);
+        const itemSources = [item.source].concat(item.sources || []).filter(Boolean).map((src) => src.toLowerCase());
+        const time = itemTime(item);
+        const rule = rules.find((r) => {
+            if (r.keywords.length > 0 && !r.keywords.some((kw) => matchesKeyword(tokens, kw))) {
+                return false;
+            }
+            if (r.sources.length > 0 && !r.sources.some((src) => itemSources.some((s) => s.includes(src)))) {
+                return false;
+            }
+            if (r.maxAgeMs != null && (time == null || nowMs - time > r.maxAgeMs)) {
+                return false;
+            }
+            return true;
+        });
+        return rule ? { ...item, urgent: true, urgentRule: rule.label } : item;
+    });
+}
+
+/** Feed boilerplate after the text: WordPress "The post … appeared first on …" (and its Hebrew form), "[…]", "להמשך קריאה". */
+const SUMMARY_TRAILERS_RE = /\s*(?:(?:The post|הפוסט)\s.+?(?:appeared first on|הופיע לראשונה ב).*|\[(?:…|\.\.\.)\]|(?:להמשך (?:קריאה|הכתבה)|Read more|Continue reading)\s*[.…>»]*)\s*$/i;
+
+/** Plain text of description HTML: scripts, styles and images (tracking pixels) dropped, block tags spaced, entities decoded. */
+function descriptionText(html) {
+    const $ = cheerio.load(String(html).replace(/<(?:br|\/p|\/div|\/li|\/h[1-6])\b[^>]*>/gi, "$& "));
+    $("script, style, noscript, img, iframe, object").remove();
+    return $.root().text().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Summary line for an item: its description as plain text (HTML stripped, entities decoded, also
+ * when the feed escaped them twice), without feed boilerplate, without the title when it repeats
+ * it, and cut at a word boundary to `maxLength` characters. "" when nothing but the title is left.
+ *
+ * @param {string} description - item description (text or HTML)
+ * @param {string} title - item title
+ * @param {number} [maxLength] - default 140
+ * @returns {string}
+ */
+function descriptionSummary(description, title, maxLength) {
+    if (!description) {
+        return "";
+    }
+    let text = descriptionText(description);
+    if (/<[a-z/][^>]*>|&(?:[a-z]+|#\d+|#x[0-9a-f]+);/i.test(text)) {
+        text = descriptionText(text);
+    }
+    text = text.replace(SUMMARY_TRAILERS_RE, "").trim();
+
+    // Drop the title when the description starts with it
+    const normalizedTitle = normalizeHebrewText(title);
+    if (normalizedTitle) {
+        const words = text.split(" ");
+        const titleWords = normalizedTitle.split(" ").length;
+        if (normalizeHebrewText(words.slice(0, titleWords).join(" ")) === normalizedTitle) {
+            text = words.slice(titleWords).join(" ").replace(/^[\s\-–—:|.,]+/, "");
+        }
+    }
+    const normalized = normalizeHebrewText(text);
+    if (normalized.length < 3 || textSimilarity(normalized, normalizedTitle) >= 0.9) {
+        return "";
+    }
+
+    const limit = Math.max(20, parseInt(maxLength, 10) || 140);
+    if (text.length <= limit) {
+        return text;
+    }
+    const cut = text.slice(0, limit);
+    const space = cut.lastIndexOf(" ");
+    return (space > limit * 0.6 ? cut.slice(0, space) : cut).replace(/[\s\-–—:,;.&(/]+$/, "") + "…";
+}
+
+module.exports = {
+    normalizeHebrewText,
+    headlineId,
+    textSimilarity,
+    dedupeNewsItems,
+    compileKeywordRules,
+    filterByKeywords,
+    compileUrgentRules,
+    markUrgentItems,
+    descriptionSummary
+};
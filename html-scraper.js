@@ -0,0 +1,144 @@
+/**
+ * Headline extraction from HTML pages: rows and fields by CSS selector (text or an attribute per
+ * field), excluded blocks, a minimum title length and the "next page" link to follow.
+ */
+const cheerio = require("cheerio");
+const { parseScrapedDate } = require("./date-utils");
+
+/** Attributes read when a field has no `...Attribute` option (title and description use the text). */
+const DEFAULT_ATTRIBUTES = {
+    link: ["href"],
+    date: ["datetime"],
+    image: ["src", "data-src", "data-lazy-src", "srcset", "content"]
+};
+
+const DEFAULT_NEXT_PAGE_SELECTOR = "link[rel='next'], a[rel='next']";
+
+/** A source's scraper options with defaults (JSON of it also keys the parse cache). */
+function scrapeOptions(sourceConfig) {
+    const selector = sourceConfig.selector || ".flashes-item";
+    return {
+        selector: selector,
+        titleSelector: sourceConfig.titleSelector || selector,
+        titleAttribute: sourceConfig.titleAttribute || null,
+        linkSelector: sourceConfig.linkSelector || null,
+        linkAttribute: sourceConfig.linkAttribute || null,
+        dateSelector: sourceConfig.dateSelector || null,
+        dateAttribute: sourceConfig.dateAttribute || null,
+        dateFormat: sourceConfig.dateFormat || null,
+        timeZone: sourceConfig.timeZone || null,
+        descriptionSelector: sourceConfig.descriptionSelector || null,
+        descriptionAttribute: sourceConfig.descriptionAttribute || null,
+        imageSelector: sourceConfig.imageSelector || null,
+        imageAttribute: sourceConfig.imageAttribute || null,
+        excludeSelector: sourceConfig.excludeSelector || null,
+        minTitleLength: sourceConfig.minTitleLength != null ? Number(sourceConfig.minTitleLength) : 6,
+        nextPageSelector: sourceConfig.nextPageSelector || DEFAULT_NEXT_PAGE_SELECTOR,
+        maxPages: Math.max(1, parseInt(sourceConfig.maxPages, 10) || 1)
+    };
+}
+
+function attributesFor(option, field) {
+    return option ? [].concat(option) : DEFAULT_ATTRIBUTES[field] || [];
+}
+
+/**
+ * One field of a row: the first listed attribute that is set on the first element matching
+ * `fieldSelector` in the row (the row itself when the selector is the row selector), else
+ * its text when `textFallback`. `srcset` gives its first URL.
+ */
+function fieldValue($row, fieldSelector, attributes, rowSelector, textFallback) {
+    const $el = fieldSelector === rowSelector ? $row : $row.find(fieldSelector).first();
+    if ($el.length === 0) {
+        return "";
+    }
+    for (const name of attributes) {
+        const value = $el.attr(name);
+        if (value != null && String(value).trim() !== "") {
+            return name === "srcset" ? String(value).trim().split(",")[0].trim().split(/\s+/)[0] : String(value).trim();
+        }
+    }
+    return textFallback ? $el.text().replace(/\s+/g, " ").trim() : "";
+}
+
+function resolveUrl(href, pageUrl) {
+    if (!href) {
+        return "";
+    }
+    try {
+        return new URL(href, pageUrl).toString();
+    } catch (err) {
+        return href;
+    }
+}
+
+/**
+ * Items on one HTML page. Rows whose title is shorter than `minTitleLength` are skipped; the link
+ * defaults to the row's own `href` or its first `<a>`, the description to the title. Rows
+ * without a readable date get the current time.
+ *
+ * @param {string} html - the page
+ * @param {string} pageUrl - its URL (base for relative links and images)
+ * @param {Object} options - from scrapeOptions
+ * @param {string} [sourceUrl] - item `source` (the configured URL when this is a later page)
+ * @returns {{ items: Object[], unparsedDates: string[], nextUrl: string|null }}
+ */
+function scrapeHtmlItems(html, pageUrl, options, sourceUrl) {
+    const $ = cheerio.load(html);
+    if (options.excludeSelector) {
+        $(options.excludeSelector).remove();
+    }
+    const fetchedAt = new Date().toISOString();
+    const items = [];
+    const unparsedDates = [];
+
+    $(options.selector).each((_, element) => {
+        const $row = $(element);
+        const title = fieldValue($row, options.titleSelector, attributesFor(options.titleAttribute, "title"), options.selector, true);
+        if (!title || title.length < options.minTitleLength) {
+            return;
+        }
+
+        const linkSelector = options.linkSelector || ($row.is("[href]") ? options.selector : "a");
+        const link = resolveUrl(fieldValue($row, linkSelector, attributesFor(options.linkAttribute, "link"), options.selector, false), pageUrl);
+
+        let pubDate = null;
+        if (options.dateSelector) {
+            const dateText = fieldValue($row, options.dateSelector, attributesFor(options.dateAttribute, "date"), options.selector, true);
+            pubDate = parseScrapedDate(dateText, options);
+            if (!pubDate && dateText) {
+                unparsedDates.push(dateText);
+            }
+        }
+
+        const description = options.descriptionSelector
+            ? fieldValue($row, options.descriptionSelector, attributesFor(options.descriptionAttribute, "description"), options.selector, true)
+            : "";
+
+        const item = {
+            title: title,
+            link: link || pageUrl,
+            pubDate: pubDate || fetchedAt,
+            description: description || title,
+            source: sourceUrl || pageUrl
+        };
+        if (options.imageSelector) {
+            const image = resolveUrl(fieldValue($row, options.imageSelector, attributesFor(options.imageAttribute, "image"), options.selector, false), pageUrl);
+            if (image) {
+                item.image = image;
+            }
+        }
+        items.push(item);
+    });
+
+    let nextUrl = null;
+    if (options.maxPages > 1) {
+        nextUrl = resolveUrl($(options.nextPageSelector).first().attr("href"), pageUrl) || null;
+    }
+    return { items: items, unparsedDates: unparsedDates, nextUrl: nextUrl };
+}
+
+module.exports = {
+    scrapeOptions,
+    scrapeHtmlItems
+};
@@ -0,0 +1,178 @@
+/**
+ * Connection agents for every outbound request (node helper and icon-utils): certificate
+ * verification on by default, per-source `insecureTLS`, extra CA bundles via `caFile`, and
+ * proxies — the `proxy` option, else HTTPS_PROXY / HTTP_PROXY / ALL_PROXY minus NO_PROXY —
+ * over HTTP (CONNECT for https targets) or SOCKS.
+ * Agents are shared per distinct option set so connections are kept alive across refreshes.
+ */
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const tls = require("tls");
+const { HttpProxyAgent } = require("http-proxy-agent");
+const { HttpsProxyAgent } = require("https-proxy-agent");
+const { SocksProxyAgent } = require("socks-proxy-agent");
+const Log = require("logger");
+
+/** Node / OpenSSL error codes meaning the server certificate was not accepted. */
+const CERTIFICATE_ERROR_CODES = new Set([
+    "CERT_HAS_EXPIRED",
+    "CERT_NOT_YET_VALID",
+    "CERT_UNTRUSTED",
+    "CERT_REVOKED",
+    "CERT_SIGNATURE_FAILURE",
+    "DEPTH_ZERO_SELF_SIGNED_CERT",
+    "SELF_SIGNED_CERT_IN_CHAIN",
+    "UNABLE_TO_GET_ISSUER_CERT",
+    "UNABLE_TO_GET_ISSUER_CERT_LOCALLY",
+    "UNABLE_TO_VERIFY_LEAF_SIGNATURE",
+    "ERR_TLS_CERT_ALTNAME_INVALID"
+]);
+
+const agents = new Map();
+
+function asList(value) {
+    if (value == null || value === "") {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+/** Node's bundled roots plus the PEM files in `caFiles` (unreadable files are logged and skipped). */
+function loadCertificates(caFiles) {
+    const extra = [];
+    caFiles.forEach((file) => {
+        try {
+            extra.push(fs.readFileSync(file, "utf8"));
+        } catch (err) {
+            Log.error("MMM-IsraelNews: Cannot read caFile " + file + " — " + err.message + " (using the default CA list)");
+        }
+    });
+    return extra.length > 0 ? tls.rootCertificates.concat(extra) : null;
+}
+
+function envValue(name) {
+    return process.env[name.toLowerCase()] || process.env[name.toUpperCase()] || "";
+}
+
+/** True when NO_PROXY covers the URL: "*", a host or domain suffix (leading "." or "*." optional), optional ":port". */
+function bypassesProxy(urlObj) {
+    const noProxy = envValue("no_proxy");
+    if (!noProxy) {
+        return false;
+    }
+    const host = urlObj.hostname.toLowerCase();
+    const port = urlObj.port || (urlObj.protocol === "https:" ? "443" : "80");
+    return noProxy.split(/[\s,]+/).filter(Boolean).some((entry) => {
+        if (entry === "*") {
+            return true;
+        }
+        const m = entry.toLowerCase().match(/^(.*?)(?::(\d+))?$/);
+        const domain = m[1].replace(/^\*?\./, "");
+        if (m[2] && m[2] !== port) {
+            return false;
+        }
+        return host === domain || host.endsWith("." + domain);
+    });
+}
+
+/** Proxy URL for a request: the `proxy` option (false = direct), else the environment; null = direct. */
+function proxyFor(urlObj, proxyOption) {
+    if (proxyOption === false || bypassesProxy(urlObj)) {
+        return null;
+    }
+    let proxy = proxyOption
+        ? String(proxyOption)
+        : (urlObj.protocol === "https:" ? envValue("https_proxy") : envValue("http_proxy")) || envValue("all_proxy");
+    if (!proxy) {
+        return null;
+    }
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(proxy)) {
+        proxy = "http://" + proxy; // "host:port" means an HTTP proxy
+    }
+    try {
+        new URL(proxy);
+    } catch (err) {
+        throw new Error("Invalid proxy URL: " + proxy);
+    }
+    return proxy;
+}
+
+/** Proxy URL without its password, for logs. */
+function redactProxy(proxy) {
+    const urlObj = new URL(proxy);
+    if (urlObj.password) {
+        urlObj.password = "***";
+    }
+    return urlObj.toString();
+}
+
+/**
+ * Agent for a request to `url` with a source's request options.
+ * @param {string|URL} url - The request URL (its protocol picks http vs https, its host is checked against NO_PROXY)
+ * @param {{ insecureTLS?: boolean, caFile?: string|string[], proxy?: string|false }} [options]
+ * @returns {http.Agent}
+ */
+function agentFor(url, options) {
+    const opts = options || {};
+    const urlObj = typeof url === "string" ? new URL(url) : url;
+    const secure = urlObj.protocol === "https:";
+    const proxy = proxyFor(urlObj, opts.proxy);
+    const insecure = secure && opts.insecureTLS === true;
+    const caFiles = secure ? asList(opts.caFile).map(String) : [];
+    const key = JSON.stringify([secure, proxy, insecure, caFiles]);
+
+    let agent = agents.get(key);
+    if (!agent) {
+        const ca = caFiles.length > 0 ? loadCertificates(caFiles) : null;
+        const tlsOptions = secure ? { rejectUnauthorized: !insecure, ...(ca ? { ca } : {}) } : {};
+        const agentOptions = { keepAlive: true, ...tlsOptions };
+        if (!proxy) {
+            agent = secure ? new https.Agent(agentOptions) : new http.Agent(agentOptions);
+        } else if (/^socks/i.test(proxy)) {
+            agent = new SocksProxyAgent(proxy, agentOptions);
+        } else if (secure) {
+            agent = new HttpsProxyAgent(proxy, agentOptions);
+            // HttpsProxyAgent uses its constructor options for the proxy connection only; the TLS
+            // handshake through the tunnel reads the request options, which http.Agent merges from agent.options
+            Object.assign(agent.options, tlsOptions);
+        } else {
+            agent = new HttpProxyAgent(proxy, agentOptions);
+        }
+        if (proxy) {
+            Log.info("MMM-IsraelNews: Using proxy " + redactProxy(proxy) + " for " + (secure ? "https" : "http") + " requests");
+        }
+        agents.set(key, agent);
+    }
+    return agent;
+}
+
+/**
+ * axios options routing a request through agentFor (both protocols, so redirects keep the settings).
+ * axios' own proxy handling is turned off; the agents apply the proxy.
+ */
+function axiosAgentOptions(url, options) {
+    const urlObj = new URL(url);
+    const other = new URL(url);
+    other.protocol = urlObj.protocol === "https:" ? "http:" : "https:";
+    const httpUrl = urlObj.protocol === "https:" ? other : urlObj;
+    const httpsUrl = urlObj.protocol === "https:" ? urlObj : other;
+    return {
+        proxy: false,
+        httpAgent: agentFor(httpUrl, options),
+        httpsAgent: agentFor(httpsUrl, options)
+    };
+}
+
+/** True when a request failed because the server certificate was rejected. */
+function isCertificateError(err) {
+    const codes = [err && err.code, err && err.cause && err.cause.code];
+    return codes.some((code) => code && CERTIFICATE_ERROR_CODES.has(code));
+}
+
+module.exports = {
+    proxyFor,
+    agentFor,
+    axiosAgentOptions,
+    isCertificateError
+};
@@ -0,0 +1,106 @@
+/**
+ * Validators (ETag / Last-Modified) and the last response for each URL the node helper fetches,
+ * so refreshes can send conditional requests and reuse the previous body and parse on a 304.
+ * Only responses that carry a validator are kept; everything lives in memory.
+ */
+class HttpCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    /**
+     * Cache key for a request (query params are part of the key)
+     * @param {string} url - The request URL
+     * @param {Object} [params] - axios query params
+     * @returns {string} - The cache key
+     */
+    keyFor(url, params) {
+        return params ? `${url}?${JSON.stringify(params)}` : url;
+    }
+
+    /**
+     * If-None-Match / If-Modified-Since for a key, empty when nothing is stored
+     * @param {string} key - The cache key
+     * @returns {Object} - Request headers to add
+     */
+    conditionalHeaders(key) {
+        const entry = this.entries.get(key);
+        const headers = {};
+        if (entry && entry.etag) {
+            headers['If-None-Match'] = entry.etag;
+        }
+        if (entry && entry.lastModified) {
+            headers['If-Modified-Since'] = entry.lastModified;
+        }
+        return headers;
+    }
+
+    /**
+     * Remember a 2xx response if it carries a validator (a new body drops the previous parse)
+     * @param {string} key - The cache key
+     * @param {Object} response - The axios response
+     */
+    store(key, response) {
+        const headers = response.headers || {};
+        const etag = headers.etag;
+        const lastModified = headers['last-modified'];
+        if (!etag && !lastModified) {
+            this.entries.delete(key);
+            return;
+        }
+        this.entries.set(key, {
+            etag: etag,
+            lastModified: lastModified,
+            status: response.status,
+            headers: headers,
+            data: response.data,
+            parses: new Map()
+        });
+    }
+
+    /**
+     * The stored response for a key, shaped like an axios response and flagged `notModified`
+     * @param {string} key - The cache key
+     * @param {Object} [headers] - Headers of the 304 (they refresh the stored ones)
+     * @returns {Object|null} - The replayed response, or null when nothing is stored
+     */
+    replay(key, headers) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        if (headers) {
+            entry.headers = { ...entry.headers, ...headers };
+        }
+        return {
+            status: entry.status,
+            headers: entry.headers,
+            data: entry.data,
+            notModified: true,
+            cacheKey: key
+        };
+    }
+
+    /**
+     * Parse a response once: a replayed (304) response returns the parse of the stored body
+     * @param {Object} response - Response from httpGet (fresh or replayed)
+     * @param {Function} parse - (response) => result or Promise of it
+     * @param {string} [variant] - Distinguishes parses of the same body with different options (e.g. selectors)
+     * @returns {Promise<*>} - The parse result
+     */
+    parsed(response, parse, variant) {
+        const entry = response.cacheKey ? this.entries.get(response.cacheKey) : null;
+        const parseKey = variant || '';
+        if (entry && response.notModified && entry.parses.has(parseKey)) {
+            return Promise.resolve(entry.parses.get(parseKey));
+        }
+        return Promise.resolve(parse(response)).then((result) => {
+            if (entry && entry.data === response.data) {
+                entry.parses.set(parseKey, result);
+            }
+            return result;
+        });
+    }
+}
+
+module.exports = HttpCache;
@@ -0,0 +1,92 @@
+/**
+ * HTTP timing helpers for the node helper: reading Retry-After / caching headers
+ * from responses and working out when a source should be fetched next.
+ */
+
+/** Header lookup that works for axios header objects and plain objects. */
+function headerValue(headers, name) {
+    if (!headers) {
+        return undefined;
+    }
+    if (typeof headers.get === "function") {
+        const value = headers.get(name);
+        if (value != null) {
+            return value;
+        }
+    }
+    const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+    return key ? headers[key] : undefined;
+}
+
+/** `Retry-After` as milliseconds from now (delta-seconds or HTTP-date), or null. */
+function retryAfterMs(headers, now) {
+    const value = headerValue(headers, "retry-after");
+    if (value == null || value === "") {
+        return null;
+    }
+    const str = String(value).trim();
+    if (/^\d+$/.test(str)) {
+        return parseInt(str, 10) * 1000;
+    }
+    const at = Date.parse(str);
+    if (isNaN(at)) {
+        return null;
+    }
+    return Math.max(0, at - (now != null ? now : Date.now()));
+}
+
+/**
+ * How long a response stays fresh according to `Cache-Control` (s-maxage / max-age, minus `Age`)
+ * or `Expires`, in milliseconds. null when the response has no usable freshness information
+ * (or says no-cache / no-store).
+ */
+function freshnessMs(headers, now) {
+    const cacheControl = String(headerValue(headers, "cache-control") || "").toLowerCase();
+    if (/\b(no-cache|no-store)\b/.test(cacheControl)) {
+        return null;
+    }
+    const maxAge = cacheControl.match(/\bs-maxage=(\d+)/) || cacheControl.match(/\bmax-age=(\d+)/);
+    if (maxAge) {
+        const age = parseInt(headerValue(headers, "age"), 10) || 0;
+        return Math.max(0, (parseInt(maxAge[1], 10) - age) * 1000);
+    }
+    const expires = Date.parse(headerValue(headers, "expires") || "");
+    if (isNaN(expires)) {
+        return null;
+    }
+    const date = Date.parse(headerValue(headers, "date") || "");
+    return Math.max(0, expires - (isNaN(date) ? (now != null ? now : Date.now()) : date));
+}
+
+/**
+ * Delay before the next fetch of one source.
+ * - success: the source's interval, or longer if the server said the response stays fresh longer
+ * - failure: interval × 2^(failures − 1), capped at maxMs, with ±20% jitter so sources that
+ *   failed together do not retry together
+ * - Retry-After always pushes the next fetch out at least that far
+ * Server-provided delays are capped at max(intervalMs, maxMs).
+ *
+ * @param {{ intervalMs: number, maxMs: number, failures: number, retryAfterMs?: number|null, freshnessMs?: number|null }} state
+ * @returns {number} delay in milliseconds
+ */
+function nextFetchDelay(state) {
+    const intervalMs = state.intervalMs;
+    const capMs = Math.max(intervalMs, state.maxMs);
+    let delay = intervalMs;
+    if (state.failures > 0) {
+        const backoff = Math.min(state.maxMs, intervalMs * Math.pow(2, state.failures - 1));
+        delay = Math.max(intervalMs, backoff) * (0.8 + Math.random() * 0.4);
+    } else if (state.freshnessMs != null) {
+        delay = Math.max(delay, Math.min(state.freshnessMs, capMs));
+    }
+    if (state.retryAfterMs != null) {
+        delay = Math.max(delay, Math.min(state.retryAfterMs, capMs));
+    }
+    return Math.round(delay);
+}
+
+module.exports = {
+    retryAfterMs,
+    freshnessMs,
+    nextFetchDelay
+};
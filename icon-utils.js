@@ -5,6 +5,7 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const Log = require('logger');
+const { isCertificateError } = require('./http-agents');
 
 /**
  * Map source URL domain patterns to bundled icon filenames.
@@ -26,7 +27,13 @@ const BUNDLED_ICON_MAP = {
 };
 
 class IconUtils {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.agentFor] - (url) => http(s).Agent for a request; undefined uses Node's
+     *   default agent (certificates verified)
+     */
+    constructor(options) {
+        this.agentFor = (options && options.agentFor) || (() => undefined);
         this.cache = new Map(); // Cache favicon URLs to avoid repeated requests
         this.convertedCache = new Map(); // Cache converted PNG files
         this.tempDir = path.join(__dirname, 'temp_icons');
@@ -200,13 +207,14 @@ class IconUtils {
      * Download and cache an icon from URL
      * @param {string} iconUrl - The icon URL to download
      * @param {string} sourceUrl - The source RSS URL for cache key
+     * @param {Function} [agentFor] - (url) => http(s).Agent for this request; defaults to the constructor's
      * @returns {Promise<string>} - The cached file path or original URL if failed
      */
-    async downloadAndCacheIcon(iconUrl, sourceUrl) {
+    async downloadAndCacheIcon(iconUrl, sourceUrl, agentFor) {
         try {
             
             // Download the icon data
-            const iconData = await this.downloadFileToBuffer(iconUrl);
+            const iconData = await this.downloadFileToBuffer(iconUrl, agentFor);
             if (!iconData || iconData.length === 0) {
                 return iconUrl; // Return original URL as fallback
             }
@@ -280,9 +288,10 @@ class IconUtils {
     /**
      * Fetch HTML content from a URL
      * @param {string} url - The URL to fetch
+     * @param {Function} [agentFor] - (url) => http(s).Agent for this request; defaults to the constructor's
      * @returns {Promise<string>} - The HTML content
      */
-    fetchHTML(url) {
+    fetchHTML(url, agentFor) {
         return new Promise((resolve, reject) => {
             const urlObj = new URL(url);
             const client = urlObj.protocol === 'https:' ? https : http;
@@ -302,7 +311,7 @@ class IconUtils {
                     'Cache-Control': 'max-age=0'
                 },
                 timeout: 30000,
-                rejectUnauthorized: false
+                agent: (agentFor || this.agentFor)(url)
             };
 
             console.log(`IconUtils: Fetching HTML from ${url}`);
@@ -318,7 +327,7 @@ class IconUtils {
                             redirectUrl : 
                             `${urlObj.protocol}//${urlObj.hostname}${redirectUrl}`;
                         console.log(`IconUtils: Following redirect to: ${fullRedirectUrl}`);
-                        this.fetchHTML(fullRedirectUrl)
+                        this.fetchHTML(fullRedirectUrl, agentFor)
                             .then(resolve)
                             .catch(reject);
                         return;
@@ -363,6 +372,9 @@ class IconUtils {
             });
 
             req.on('error', (error) => {
+                if (isCertificateError(error)) {
+                    Log.error(`IconUtils: Certificate rejected for ${url} (${error.code}); favicon not fetched`);
+                }
                 console.error(`IconUtils: Request error:`, error);
                 reject(error);
             });
@@ -520,9 +532,10 @@ class IconUtils {
     /**
      * Download a file to memory buffer
      * @param {string} url - The URL to download
+     * @param {Function} [agentFor] - (url) => http(s).Agent for this request; defaults to the constructor's
      * @returns {Promise<Buffer|null>} - The file buffer or null if failed
      */
-    downloadFileToBuffer(url) {
+    downloadFileToBuffer(url, agentFor) {
         return new Promise((resolve, reject) => {
             console.log(`IconUtils: Starting download to memory buffer from ${url}`);
             
@@ -543,7 +556,7 @@ class IconUtils {
                     'Upgrade-Insecure-Requests': '1'
                 },
                 timeout: 30000,
-                rejectUnauthorized: false
+                agent: (agentFor || this.agentFor)(url)
             };
 
             console.log(`IconUtils: Request details:`, {
@@ -574,7 +587,7 @@ class IconUtils {
                         redirectUrl = `${urlObj.protocol}//${urlObj.hostname}/${res.headers.location}`;
                     }
                     
-                    return this.downloadFileToBuffer(redirectUrl).then(resolve).catch(reject);
+                    return this.downloadFileToBuffer(redirectUrl, agentFor).then(resolve).catch(reject);
                 }
 
                 if (res.statusCode !== 200) {
@@ -606,6 +619,9 @@ class IconUtils {
             });
 
             req.on('error', (error) => {
+                if (isCertificateError(error)) {
+                    Log.error(`IconUtils: Certificate rejected for ${url} (${error.code}); icon not downloaded`);
+                }
                 console.error(`IconUtils: Request error for ${url}:`, error.message);
                 resolve(null);
             });
@@ -625,9 +641,10 @@ class IconUtils {
      * Process favicon URL - convert ICO to data URL if needed (in memory)
      * @param {string} faviconUrl - The original favicon URL
      * @param {string} sourceUrl - The source RSS URL for cache key
+     * @param {Function} [agentFor] - (url) => http(s).Agent for this request; defaults to the constructor's
      * @returns {Promise<string>} - The final favicon URL (data URL if converted)
      */
-    async processFaviconUrl(faviconUrl, sourceUrl) {
+    async processFaviconUrl(faviconUrl, sourceUrl, agentFor) {
         if (!faviconUrl) return null;
         
         // Check if it's already a data URL or file path
@@ -655,7 +672,7 @@ class IconUtils {
                 console.log(`IconUtils: Downloading ${faviconUrl} to memory buffer`);
                 
                 // Download ICO file to memory
-                const icoBuffer = await this.downloadFileToBuffer(faviconUrl);
+                const icoBuffer = await this.downloadFileToBuffer(faviconUrl, agentFor);
                 if (!icoBuffer || icoBuffer.length === 0) {
                     console.log(`IconUtils: Failed to download ICO file or empty buffer, returning original URL`);
                     this.convertedCache.set(cacheKey, faviconUrl);
@@ -751,9 +768,11 @@ class IconUtils {
     /**
      * Get favicon URL for a given RSS feed URL
      * @param {string} rssUrl - The RSS feed URL
+     * @param {Function} [agentFor] - (url) => http(s).Agent for its requests (the requesting instance's
+     *   TLS / proxy settings); defaults to the constructor's
      * @returns {Promise<string|null>} - The favicon URL (data URL preferred for reliability)
      */
-    async getFaviconUrl(rssUrl) {
+    async getFaviconUrl(rssUrl, agentFor) {
         // 1. Try bundled icons first - 100% reliable, no network
         const builtin = this.getBuiltinIcon(rssUrl);
         if (builtin) return builtin;
@@ -778,7 +797,7 @@ class IconUtils {
         if (this.cache.has(rssUrl)) {
             const cachedUrl = this.cache.get(rssUrl);
             console.log(`IconUtils: Found cached favicon URL: ${cachedUrl}`);
-            return await this.processFaviconUrl(cachedUrl, rssUrl);
+            return await this.processFaviconUrl(cachedUrl, rssUrl, agentFor);
         }
 
         try {
@@ -796,7 +815,7 @@ class IconUtils {
 
             console.log(`IconUtils: Fetching favicon for ${rssUrl} from ${mainDomain}`);
             
-            const html = await this.fetchHTML(mainDomain);
+            const html = await this.fetchHTML(mainDomain, agentFor);
             console.log(`IconUtils: Fetched HTML, length: ${html.length} characters`);
             
             const faviconUrl = this.parseHtmlForFavicon(html, mainDomain);
@@ -804,7 +823,7 @@ class IconUtils {
             
             // Download and cache the icon
             if (faviconUrl) {
-                const cachedPath = await this.downloadAndCacheIcon(faviconUrl, rssUrl);
+                const cachedPath = await this.downloadAndCacheIcon(faviconUrl, rssUrl, agentFor);
                 if (cachedPath && cachedPath.startsWith(this.tempDir)) {
                     // Convert to data URL for browser compatibility
                     const dataUrl = this.fileToDataUrl(cachedPath);
@@ -830,7 +849,7 @@ class IconUtils {
             
             if (fallbackDomain) {
                 const fallbackUrl = fallbackDomain + '/favicon.ico';
-                const cachedPath = await this.downloadAndCacheIcon(fallbackUrl, rssUrl);
+                const cachedPath = await this.downloadAndCacheIcon(fallbackUrl, rssUrl, agentFor);
                 if (cachedPath && cachedPath.startsWith(this.tempDir)) {
                     const dataUrl = this.fileToDataUrl(cachedPath);
                     if (dataUrl) {
@@ -847,14 +866,15 @@ class IconUtils {
     /**
      * Get favicon URLs for multiple RSS feeds
      * @param {string[]} rssUrls - Array of RSS feed URLs
+     * @param {Function} [agentFor] - See getFaviconUrl
      * @returns {Promise<Map>} - Map of RSS URL to favicon URL
      */
-    async getFaviconUrls(rssUrls) {
+    async getFaviconUrls(rssUrls, agentFor) {
         const results = new Map();
         
         // Process all URLs in parallel
         const promises = rssUrls.map(async (url) => {
-            const faviconUrl = await this.getFaviconUrl(url);
+            const faviconUrl = await this.getFaviconUrl(url, agentFor);
             results.set(url, faviconUrl);
         });
         
@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const Log = require('logger');
+const { isCertificateError } = require('./http-agents');
+
+/**
+ * sharp resizes thumbnails when it is installed (optionalDependencies); without it the
+ * original image is cached as is (up to MAX_ORIGINAL_BYTES) and the browser scales it.
+ */
+let sharp = null;
+try {
+    sharp = require('sharp');
+} catch (error) {
+    sharp = null;
+}
+
+/** Cached thumbnails not used for this long are deleted. */
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** A failed image is not retried before this. */
+const RETRY_FAILED_MS = 60 * 60 * 1000;
+
+/** Largest download, and the largest original kept when sharp is missing. */
+const MAX_DOWNLOAD_BYTES = 5 * 1024 * 1024;
+const MAX_ORIGINAL_BYTES = 512 * 1024;
+
+/** Downloads running at once (a Pi and the news sites both prefer a few). */
+const CONCURRENCY = 3;
+
+const SIGNATURES = [
+    { ext: 'png', bytes: [0x89, 0x50, 0x4E, 0x47] },
+    { ext: 'jpg', bytes: [0xFF, 0xD8, 0xFF] },
+    { ext: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+    { ext: 'webp', bytes: [0x52, 0x49, 0x46, 0x46], at8: 'WEBP' }
+];
+
+/** Whether an image URL can be downloaded (feeds pass through URLs that `new URL` rejects, e.g. with spaces in the host). */
+function isHttpUrl(url) {
+    if (!/^https?:\/\//i.test(url || '')) {
+        return false;
+    }
+    try {
+        new URL(url);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Article images (`item.image`) downloaded, resized to thumbnails and cached in image_cache/
+ * (next to temp_icons/), like IconUtils does for favicons. Items get `thumbnail`: the cached
+ * file's path relative to the module folder, which MagicMirror serves to the front end.
+ */
+class ImageCache {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.agentFor] - (url) => http(s).Agent for a request (same as IconUtils)
+     * @param {string} [options.cacheDir] - Defaults to image_cache/ in the module folder
+     */
+    constructor(options) {
+        const opts = options || {};
+        this.agentFor = opts.agentFor || (() => undefined);
+        this.cacheDir = opts.cacheDir || path.join(__dirname, 'image_cache');
+        this.pending = new Map(); // cache file → Promise of its relative path (one download per image)
+        this.failed = new Map(); // image URL → time of the last failure
+        this.active = 0;
+        this.queue = [];
+
+        if (!fs.existsSync(this.cacheDir)) {
+            fs.mkdirSync(this.cacheDir, { recursive: true });
+        }
+        if (!sharp) {
+            Log.info('ImageCache: sharp is not installed; article images are cached at their original size');
+        }
+        this.cleanupOldCache();
+    }
+
+    /**
+     * Cache file name for an image URL at a size
+     * @param {string} url - The image URL
+     * @param {number} size - Thumbnail width in pixels
+     * @returns {string} - The file name (hash; extension added once the format is known)
+     */
+    cacheName(url, size) {
+        return crypto.createHash('md5').update(`${url}@${size}`).digest('hex');
+    }
+
+    /**
+     * Existing cache file for a name, if any
+     * @param {string} name - From cacheName
+     * @returns {string|null} - The file name with extension
+     */
+    findCached(name) {
+        for (const ext of ['jpg', 'png', 'gif', 'webp']) {
+            if (fs.existsSync(path.join(this.cacheDir, `${name}.${ext}`))) {
+                return `${name}.${ext}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Image format from the first bytes
+     * @param {Buffer} data - The downloaded bytes
+     * @returns {string|null} - File extension, or null when it is not a supported image
+     */
+    imageExtension(data) {
+        const match = SIGNATURES.find((sig) =>
+            data.length >= 12 &&
+            sig.bytes.every((byte, i) => data[i] === byte) &&
+            (!sig.at8 || data.slice(8, 12).toString('ascii') === sig.at8)
+        );
+        return match ? match.ext : null;
+    }
+
+    /**
+     * Run a download when a slot is free
+     * @param {Function} task - () => Promise
+     * @returns {Promise}
+     */
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            // A task that throws synchronously rejects like one that fails later
+            this.queue.push(() => Promise.resolve().then(task).then(resolve, reject));
+            this.drain();
+        });
+    }
+
+    drain() {
+        while (this.active < CONCURRENCY && this.queue.length > 0) {
+            const run = this.queue.shift();
+            this.active++;
+            Promise.resolve()
+                .then(run)
+                .finally(() => {
+                    this.active--;
+                    this.drain();
+                });
+        }
+    }
+
+    /**
+     * Download an image
+     * @param {string} url - The image URL
+     * @param {Function} [agentFor] - (url) => http(s).Agent for this request; defaults to the constructor's
+     * @returns {Promise<Buffer>} - The image bytes
+     */
+    download(url, agentFor) {
+        const agent = agentFor || this.agentFor;
+        const other = new URL(url);
+        other.protocol = other.protocol === 'https:' ? 'http:' : 'https:';
+        const secure = url.startsWith('https:');
+        return axios
+            .get(url, {
+                responseType: 'arraybuffer',
+                timeout: 15000,
+                maxContentLength: MAX_DOWNLOAD_BYTES,
+                headers: {
+                    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
+                    Accept: 'image/avif,image/webp,image/png,image/jpeg,image/*;q=0.8'
+                },
+                proxy: false,
+                httpAgent: agent(secure ? other.toString() : url),
+                httpsAgent: agent(secure ? url : other.toString())
+            })
+            .then((res) => Buffer.from(res.data));
+    }
+
+    /**
+     * Thumbnail file for an image if it is already cached (no download)
+     * @param {string} url - The image URL
+     * @param {number} size - Thumbnail width in pixels
+     * @returns {string|null} - Path relative to the module folder
+     */
+    cachedThumbnail(url, size) {
+        const cached = this.findCached(this.cacheName(url, size));
+        if (!cached) {
+            return null;
+        }
+        // Keep images still in use out of cleanupOldCache
+        const now = new Date();
+        fs.promises.utimes(path.join(this.cacheDir, cached), now, now).catch(() => {});
+        return `image_cache/${cached}`;
+    }
+
+    /**
+     * Thumbnail file for an image, from the cache or downloaded now
+     * @param {string} url - The image URL
+     * @param {number} size - Thumbnail width in pixels (height is 3/4 of it, cropped to fill)
+     * @param {Function} [agentFor] - See download
+     * @returns {Promise<string|null>} - Path relative to the module folder, or null when the image is unusable
+     */
+    thumbnailFor(url, size, agentFor) {
+        if (!isHttpUrl(url)) {
+            return Promise.resolve(null);
+        }
+        const cached = this.cachedThumbnail(url, size);
+        if (cached) {
+            return Promise.resolve(cached);
+        }
+        const name = this.cacheName(url, size);
+        const failedAt = this.failed.get(url);
+        if (failedAt && Date.now() - failedAt < RETRY_FAILED_MS) {
+            return Promise.resolve(null);
+        }
+        if (this.pending.has(name)) {
+            return this.pending.get(name);
+        }
+
+        const promise = this.schedule(() => this.download(url, agentFor))
+            .then((data) => {
+                const ext = this.imageExtension(data);
+                if (!ext) {
+                    throw new Error('not a PNG, JPEG, GIF or WebP image');
+                }
+                if (sharp) {
+                    return sharp(data, { animated: false })
+                        .rotate()
+                        .resize({ width: size, height: Math.round(size * 0.75), fit: 'cover', withoutEnlargement: true })
+                        .jpeg({ quality: 75 })
+                        .toBuffer()
+                        .then((thumb) => ({ data: thumb, ext: 'jpg' }));
+                }
+                if (data.length > MAX_ORIGINAL_BYTES) {
+                    throw new Error(`${data.length} bytes, too large to use without sharp`);
+                }
+                return { data: data, ext: ext };
+            })
+            .then((thumb) => {
+                const file = `${name}.${thumb.ext}`;
+                return fs.promises.writeFile(path.join(this.cacheDir, file), thumb.data).then(() => `image_cache/${file}`);
+            })
+            .catch((error) => {
+                this.failed.set(url, Date.now());
+                if (isCertificateError(error)) {
+                    Log.error(`ImageCache: Certificate rejected for ${url} (${error.code}); image not downloaded`);
+                } else {
+                    Log.warn(`ImageCache: Could not cache image ${url}: ${error.message}`);
+                }
+                return null;
+            })
+            .finally(() => {
+                this.pending.delete(name);
+            });
+        this.pending.set(name, promise);
+        return promise;
+    }
+
+    /**
+     * Delete thumbnails not used for MAX_AGE_MS
+     */
+    cleanupOldCache() {
+        try {
+            const now = Date.now();
+            let cleanedCount = 0;
+            for (const file of fs.readdirSync(this.cacheDir)) {
+                const filePath = path.join(this.cacheDir, file);
+                if (now - fs.statSync(filePath).mtime.getTime() > MAX_AGE_MS) {
+                    fs.unlinkSync(filePath);
+                    cleanedCount++;
+                }
+            }
+            if (cleanedCount > 0) {
+                Log.info(`ImageCache: Removed ${cleanedCount} unused cached image(s)`);
+            }
+        } catch (error) {
+            Log.error('ImageCache: Error cleaning up image cache:', error.message);
+        }
+    }
+}
+
+module.exports = ImageCache;
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const Log = require('logger');
+
+/**
+ * On-disk copy of each instance's last merged headline list and per-source results,
+ * so a restart (or a boot without network) can show headlines immediately.
+ * One JSON file per module identifier in news_cache/ (next to temp_icons/).
+ */
+class NewsCache {
+    constructor(cacheDir) {
+        this.cacheDir = cacheDir || path.join(__dirname, 'news_cache');
+
+        if (!fs.existsSync(this.cacheDir)) {
+            fs.mkdirSync(this.cacheDir, { recursive: true });
+        }
+    }
+
+    /**
+     * File path for an instance identifier (identifiers are sanitized for the filesystem)
+     * @param {string} identifier - The module identifier
+     * @returns {string} - The cache file path
+     */
+    fileFor(identifier) {
+        const safe = String(identifier || 'default').replace(/[^a-zA-Z0-9_-]/g, '_');
+        return path.join(this.cacheDir, `${safe}.json`);
+    }
+
+    /**
+     * Read every cache file
+     * @returns {Map<string, Object>} - identifier → { identifier, savedAt, merged, sources }
+     */
+    loadAll() {
+        const entries = new Map();
+        try {
+            const files = fs.readdirSync(this.cacheDir).filter((file) => file.endsWith('.json'));
+            for (const file of files) {
+                try {
+                    const data = JSON.parse(fs.readFileSync(path.join(this.cacheDir, file), 'utf8'));
+                    if (data && data.identifier && Array.isArray(data.merged)) {
+                        entries.set(data.identifier, data);
+                    }
+                } catch (error) {
+                    Log.warn(`NewsCache: Ignoring unreadable cache file ${file}: ${error.message}`);
+                }
+            }
+        } catch (error) {
+            Log.error('NewsCache: Error loading headline cache:', error.message);
+        }
+        return entries;
+    }
+
+    /**
+     * Write one instance's cache (temp file + rename, so a crash never leaves half a file)
+     * @param {string} identifier - The module identifier
+     * @param {{ merged: Object[], sources: Object }} data - Merged list and per-source results
+     * @returns {Promise<void>}
+     */
+    save(identifier, data) {
+        const file = this.fileFor(identifier);
+        const tmp = `${file}.tmp`;
+        const body = JSON.stringify({
+            identifier: identifier,
+            savedAt: Date.now(),
+            merged: data.merged || [],
+            sources: data.sources || {}
+        });
+        return fs.promises
+            .writeFile(tmp, body)
+            .then(() => fs.promises.rename(tmp, file))
+            .catch((error) => {
+                Log.error(`NewsCache: Error saving headline cache for ${identifier}:`, error.message);
+            });
+    }
+
+    /**
+     * Whether an entry was saved less than maxAgeMs ago
+     * @param {Object} entry - A loaded cache entry
+     * @param {number} maxAgeMs - Maximum age in milliseconds
+     * @returns {boolean} - Whether the entry is still usable
+     */
+    isFresh(entry, maxAgeMs) {
+        return !!entry && typeof entry.savedAt === 'number' && Date.now() - entry.savedAt <= maxAgeMs;
+    }
+}
+
+module.exports = NewsCache;
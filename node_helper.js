@@ -1,17 +1,77 @@
 const NodeHelper = require("node_helper");
 const Parser = require("rss-parser");
 const Log = require("logger");
-const https = require("https");
+const { AsyncLocalStorage } = require("async_hooks");
 const IconUtils = require("./icon-utils");
+const ImageCache = require("./image-cache");
+const NewsCache = require("./news-cache");
+const HttpCache = require("./http-cache");
+const {
+    decodeFeedBody,
+    sanitizeXml,
+    detectSourceType,
+    atomToItems,
+    jsonFeedToItems,
+    jsonApiToItems,
+    rssItemImage
+} = require("./feed-utils");
+const {
+    normalizeHebrewText,
+    headlineId,
+    dedupeNewsItems,
+    compileKeywordRules,
+    filterByKeywords,
+    compileUrgentRules,
+    markUrgentItems,
+    descriptionSummary
+} = require("./headline-utils");
+const { retryAfterMs, freshnessMs, nextFetchDelay } = require("./http-utils");
+const { agentFor, axiosAgentOptions, isCertificateError } = require("./http-agents");
+const { parseKanFlashPubDate } = require("./date-utils");
+const { scrapeOptions, scrapeHtmlItems } = require("./html-scraper");
+const { renderPage, rendererLabel } = require("./renderers");
 const axios = require("axios");
 const cheerio = require("cheerio");
-const { DateTime } = require("luxon");
 
 /** כאן מבזקים — Umbraco + Luxon always use Israel civil time (no user override). */
 const KAN_ISRAEL_TIMEZONE = "Asia/Jerusalem";
 
-/** KAN and similar sites often 403 minimal bots; match a real browser. */
-function browserLikeAxiosConfig() {
+/** Upper bound on remembered item ids per instance (for `isNew`). */
+const SENT_IDS_LIMIT = 2000;
+
+/** Default cap (seconds) on a failing source's backoff and on server-requested delays. */
+const DEFAULT_MAX_BACKOFF = 3600;
+
+/** Timing hints ({ retryAfterMs, freshnessMs }) of the responses seen while one source is fetched. */
+const fetchContext = new AsyncLocalStorage();
+
+/** Thumbnails downloaded within this long of each other are sent in one NEWS_RESULT. */
+const THUMBNAIL_PUBLISH_DELAY_MS = 1000;
+
+/** Module-level options a source inherits unless it sets its own. */
+const INHERITED_SOURCE_OPTIONS = ["caFile", "proxy", "renderer"];
+
+/** Seconds between fetches for source types that need a shorter one than updateInterval. */
+const DEFAULT_REFRESH_INTERVALS = { "oref-alerts": 5 };
+
+/**
+ * Seconds the backoff (and Retry-After) of these source types is capped at, below maxBackoff; their
+ * caching headers are ignored too, so a network blip or a CDN max-age never hides alerts for long.
+ */
+const MAX_BACKOFF_BY_TYPE = { "oref-alerts": 30 };
+
+/** פיקוד העורף site; alerts.json is polled under it unless the source's `url` points elsewhere (e.g. a local stub). */
+const OREF_BASE_URL = "https://www.oref.org.il";
+const OREF_ALERTS_PATH = "/WarningMessages/alert/alerts.json";
+
+/** Seconds an alert stays on screen when neither the source nor the alert text ("... 10 דקות") says. */
+const DEFAULT_ALERT_SECONDS = 600;
+
+/**
+ * KAN and similar sites often 403 minimal bots; match a real browser.
+ * `requestOptions` (the source's insecureTLS / caFile / proxy) is turned into agents by httpGet.
+ */
+function browserLikeAxiosConfig(sourceConfig) {
     return {
         timeout: 15000,
         headers: {
@@ -19,9 +79,7 @@ function browserLikeAxiosConfig() {
             Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
             "Accept-Language": "he-IL,he;q=0.9,en-US;q=0.8,en;q=0.7"
         },
-        httpsAgent: new https.Agent({
-            rejectUnauthorized: false
-        })
+        requestOptions: typeof sourceConfig === "object" ? sourceConfig : null
     };
 }
 
@@ -43,33 +101,89 @@ function sourceUrlForFavicon(sourceConfig) {
         const loc = (sourceConfig.locale && String(sourceConfig.locale).toLowerCase()) || "he";
         return `https://www.i24news.tv/${loc}/news`;
     }
+    if (sourceConfig.type === "oref-alerts" && !sourceConfig.url) {
+        return OREF_BASE_URL;
+    }
     return sourceConfig.url;
 }
 
-/** ISO timestamp for a KAN row in `zone` (default Asia/Jerusalem), not the process local TZ. */
-function parseKanFlashPubDate(dateToken, timeText, zone) {
-    const z = zone || "Asia/Jerusalem";
-    if (!dateToken || !timeText) {
-        return DateTime.now().setZone(z).toISO();
+/** Map an rss-parser feed to the module's item shape (`image` when the item has one, see rssItemImage). */
+function rssFeedToItems(feed, feedUrl) {
+    return (feed.items || []).map((item) => {
+        const mapped = {
+            title: item.title || "No title",
+            link: item.link || "",
+            pubDate: item.pubDate || "",
+            description: item.description || "",
+            source: feedUrl
+        };
+        const image = rssItemImage(item, feedUrl);
+        if (image) {
+            mapped.image = image;
+        }
+        return mapped;
+    });
+}
+
+/** Image URL of an i24NEWS entry (`image` or `content.image`, a URL or an object with `href` / `url` / `src`). */
+function i24Image(entry) {
+    const candidates = [entry.image, entry.content && entry.content.image];
+    for (const value of candidates) {
+        const url = value && typeof value === "object" ? value.href || value.url || value.src : value;
+        if (typeof url === "string" && /^https?:\/\//.test(url)) {
+            return url;
+        }
+    }
+    return "";
+}
+
+/**
+ * Alert areas matching the configured ones (all of them when none are configured). Oref names look
+ * like "תל אביב - מרכז העיר" or "שדרות, איבים, ניר עם"; a configured name matches the whole name,
+ * one comma-separated part, or the city before " - " (so "תל אביב" covers every Tel Aviv zone).
+ */
+function matchAlertAreas(alertAreas, wanted) {
+    if (wanted.length === 0) {
+        return alertAreas.slice();
+    }
+    const targets = new Set(wanted.map(normalizeHebrewText));
+    return alertAreas.filter((area) => {
+        const names = [area].concat(area.split(",")).flatMap((part) => [part, part.split(" - ")[0]]);
+        return names.some((name) => targets.has(normalizeHebrewText(name)));
+    });
+}
+
+/** True when a refetch produced what the source already had (nothing to re-merge or resend). */
+function sameSourceResult(a, b) {
+    return !!a && !!b && a.sourceFailed === b.sourceFailed && JSON.stringify(a.items) === JSON.stringify(b.items);
+}
+
+/** What sourceStatus reports about a source's health, for spotting changes between fetches. */
+function sourceHealth(source) {
+    return JSON.stringify([source.failures, source.lastError, source.itemCount]);
+}
+
+/** Whether an item's pubDate is between `cutoffTime` and `now` (items without a usable date are kept). */
+function withinNewsWindow(item, cutoffTime, now) {
+    if (item.skipTimeFilter) {
+        return true;
     }
-    const dm = String(dateToken).match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
-    const tm = String(timeText).trim().match(/^(\d{1,2}):(\d{2})$/);
-    if (!dm || !tm) {
-        return DateTime.now().setZone(z).toISO();
+    if (!item.pubDate) {
+        return true; // Keep items without publication date
     }
-    const [, dd, mm, yyyy] = dm;
-    const [, hh, mi] = tm;
-    const dt = DateTime.fromObject(
-        {
-            year: parseInt(yyyy, 10),
-            month: parseInt(mm, 10),
-            day: parseInt(dd, 10),
-            hour: parseInt(hh, 10),
-            minute: parseInt(mi, 10)
-        },
-        { zone: z }
-    );
-    return dt.isValid ? dt.toISO() : DateTime.now().setZone(z).toISO();
+    const itemDate = new Date(item.pubDate);
+    if (isNaN(itemDate.getTime())) {
+        return true; // Keep items with invalid dates
+    }
+
+    // Exclude future items (could be timezone issues)
+    if (itemDate > now) {
+        Log.info("MMM-IsraelNews: Excluding future-dated item from " + item.source);
+        return false;
+    }
+
+    // Only include items within the time window
+    return itemDate >= cutoffTime;
 }
 
 function withFavicon(items, faviconUrl) {
@@ -106,6 +220,12 @@ function wrapSourceFetch(label, itemsPromise) {
         .catch((err) => {
             const detail = formatFetchError(err);
             Log.error(`MMM-IsraelNews: SOURCE_FAIL [${safeLabel}] ${detail}`);
+            if (isCertificateError(err)) {
+                Log.error(
+                    `MMM-IsraelNews: SOURCE_TLS_FAIL [${safeLabel}] server certificate rejected; response not used. ` +
+                        "Add the issuing CA with caFile, or set insecureTLS: true on this source only if you trust the network."
+                );
+            }
             return {
                 items: [],
                 sourceFailed: true,
@@ -120,139 +240,819 @@ module.exports = NodeHelper.create({
         Log.info("MMM-IsraelNews: Node helper starting...");
         
         // Initialize IconUtils
+        // Favicon and image requests are passed the agents of the instance they are for (see agentForUrl)
         this.iconUtils = new IconUtils();
-        
-        // Last successful merged+filtered list (used when every source fails on a refresh)
-        this.lastSuccessfulNews = [];
 
-        // Initialize reload timer
-        this.reloadTimer = null;
-        this.currentConfig = null;
+        // Article images resized into image_cache/ for showImages
+        this.imageCache = new ImageCache();
         
-        // Create a custom HTTPS agent that allows self-signed certificates
-        // This is needed for Electron mode which has stricter SSL validation
-        const httpsAgent = new https.Agent({
-            rejectUnauthorized: false
-        });
+        // Per-instance state keyed by module identifier (config, source timers, stale cache)
+        this.instances = new Map();
+
+        // Headlines saved by a previous run, served as stale until the first fetch completes
+        this.newsCache = new NewsCache();
+        this.persistedNews = this.newsCache.loadAll();
+        if (this.persistedNews.size > 0) {
+            Log.info("MMM-IsraelNews: Loaded saved headlines for " + this.persistedNews.size + " instance(s)");
+        }
+
+        // ETag / Last-Modified and last response per URL, for conditional requests (see httpGet)
+        this.httpCache = new HttpCache();
+
+        // Auto-detected type per source URL (sources without `type`); detection runs once per URL
+        this.detectedTypes = new Map();
+
+        // When each Oref alert (alerts URL + alert id) was first seen, while it is still listed
+        this.alertFirstSeen = new Map();
         
+        // Feeds are downloaded by fetchRssFeed (axios) and handed to parseString,
+        // so the parser needs no request options of its own
         this.parser = new Parser({
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (compatible; MagicMirror)'
-            },
             customFields: {
-                item: ['description', 'content', 'link', 'pubDate']
-            },
-            // Add custom request options for HTTPS handling
-            requestOptions: {
-                agent: httpsAgent,
-                timeout: 10000,
-                rejectUnauthorized: false
+                item: [
+                    'description', 'content', 'link', 'pubDate',
+                    ['media:content', 'mediaContent', { keepArray: true }],
+                    ['media:thumbnail', 'mediaThumbnail', { keepArray: true }]
+                ]
             }
         });
         
-        Log.info("MMM-IsraelNews: Node helper started and RSS parser initialized with SSL workaround");
+        Log.info("MMM-IsraelNews: Node helper started and RSS parser initialized");
+    },
+
+    /**
+     * State for one front-end instance (module identifier). Each instance has its own
+     * source list, per-source timers and last successful headline list.
+     */
+    getInstance: function(identifier) {
+        const id = identifier || "default";
+        let instance = this.instances.get(id);
+        if (!instance) {
+            instance = {
+                identifier: id,
+                config: null,
+                // JSON of the config the sources were built from (a repeated GET_NEWS keeps them running)
+                configKey: null,
+                running: false,
+                // One entry per configured source: its own timer, backoff state and latest result
+                sources: [],
+                favicons: new Map(),
+                lastSuccessfulNews: [],
+                // Last successful items per source label ({ savedAt, items }), persisted with the merged list
+                sourceResults: {},
+                // Request options (TLS, proxy) of this instance's sources by host, and its module-level ones,
+                // for its favicon and image requests (set by buildSources)
+                hostRequestOptions: new Map(),
+                defaultRequestOptions: null,
+                agentFor: null,
+                // Pending re-publish once background thumbnail downloads finish (see schedulePublish)
+                publishTimer: null,
+                // Item ids already sent to the front end (null until the first result)
+                sentIds: null
+            };
+            this.instances.set(id, instance);
+        }
+        return instance;
     },
 
-    // Schedule the next reload
-    scheduleReload: function() {
-        if (this.reloadTimer) {
-            clearTimeout(this.reloadTimer);
+    /**
+     * First GET_NEWS for an instance: if a previous run saved headlines for it (and they are
+     * younger than cacheMaxAgeHours), restore them as the stale cache and send them at once.
+     */
+    restorePersistedNews: function(instance) {
+        const entry = this.persistedNews.get(instance.identifier);
+        this.persistedNews.delete(instance.identifier);
+        const config = instance.config || {};
+        if (!entry || config.persistCache === false) {
+            return;
         }
-        
-        if (!this.currentConfig) {
-            Log.warn("MMM-IsraelNews: No config available for scheduling reload");
+        const maxAgeMs = (config.cacheMaxAgeHours != null ? config.cacheMaxAgeHours : 12) * 60 * 60 * 1000;
+        if (!this.newsCache.isFresh(entry, maxAgeMs) || entry.merged.length === 0) {
+            Log.info("MMM-IsraelNews: Saved headlines for [" + instance.identifier + "] expired; waiting for sources");
             return;
         }
-        
-        const updateInterval = this.currentConfig.updateInterval || 300; // Default 5 minutes
-        const intervalMs = updateInterval * 1000;
-        
-        Log.info("MMM-IsraelNews: Scheduling next reload in " + updateInterval + " seconds");
-        
-        this.reloadTimer = setTimeout(() => {
-            Log.info("MMM-IsraelNews: Auto-reload triggered");
-            this.getNews(this.currentConfig);
-        }, intervalMs);
+        // Same newsHoursBack window as publishNews: headlines that aged out while the mirror was off are not shown
+        const now = new Date();
+        const cutoffTime = new Date(now.getTime() - (config.newsHoursBack != null ? config.newsHoursBack : 24) * 60 * 60 * 1000);
+        const inWindow = (items) => items.filter((item) => withinNewsWindow(item, cutoffTime, now));
+        Object.keys(entry.sources || {}).forEach((label) => {
+            const saved = entry.sources[label];
+            if (saved && Date.now() - saved.savedAt <= maxAgeMs) {
+                instance.sourceResults[label] = { ...saved, items: inWindow(saved.items || []) };
+            }
+        });
+        const merged = inWindow(entry.merged);
+        if (merged.length === 0) {
+            Log.info("MMM-IsraelNews: Saved headlines for [" + instance.identifier + "] are older than newsHoursBack; waiting for sources");
+            return;
+        }
+        instance.lastSuccessfulNews = merged;
+        Log.info(
+            "MMM-IsraelNews: Showing " + merged.length + " saved headline(s) for [" + instance.identifier + "] from " +
+                Math.round((Date.now() - entry.savedAt) / 60000) + " min ago (stale) until sources respond"
+        );
+        this.sendSocketNotification("NEWS_RESULT", {
+            identifier: instance.identifier,
+            items: merged,
+            stale: true
+        });
+    },
+
+    /**
+     * Give each item the row id it was already shown under and remember its ids as sent.
+     * `sentIds` maps every id sent so far (each copy of a merged row) to the row id it was shown
+     * under, so a merged row keeps that id even when an earlier copy from another source becomes
+     * its primary. Stale results go through this too, so their rows keep their ids.
+     * @returns {{ items: Object[], unsent: Set<Object>, firstResult: boolean }} - `unsent`: the
+     *   returned items none of whose copies was sent before
+     */
+    assignRowIds: function(instance, items) {
+        const firstResult = instance.sentIds == null;
+        if (firstResult) {
+            instance.sentIds = new Map();
+        }
+        const ownIds = new Set(items.map((item) => item.id));
+        const rowIds = new Set();
+        const unsent = new Set();
+        const assigned = items.map((item) => {
+            if (!item.id) {
+                return item;
+            }
+            const ids = item.memberIds || [item.id];
+            const sentId = ids.find((id) => instance.sentIds.has(id));
+            const shownAs = sentId && instance.sentIds.get(sentId);
+            // A cluster that split again: the row whose own id it was (or else the first) keeps the old row id
+            const rowId = shownAs && !rowIds.has(shownAs) && (shownAs === item.id || !ownIds.has(shownAs)) ? shownAs : item.id;
+            rowIds.add(rowId);
+            ids.forEach((id) => {
+                instance.sentIds.delete(id);
+                instance.sentIds.set(id, rowId);
+            });
+            const out = rowId !== item.id ? { ...item, id: rowId } : item;
+            if (!sentId) {
+                unsent.add(out);
+            }
+            return out;
+        });
+        // Keep the most recently seen ids only (Map iterates in insertion order)
+        const excess = instance.sentIds.size - SENT_IDS_LIMIT;
+        if (excess > 0) {
+            Array.from(instance.sentIds.keys()).slice(0, excess).forEach((id) => instance.sentIds.delete(id));
+        }
+        return { items: assigned, unsent: unsent, firstResult: firstResult };
     },
 
-    // Stop the reload timer
-    stopReload: function() {
-        if (this.reloadTimer) {
-            clearTimeout(this.reloadTimer);
-            this.reloadTimer = null;
-            Log.info("MMM-IsraelNews: Reload timer stopped");
+    /**
+     * assignRowIds, then flag items whose id (or, for a merged row, any copy's id) was not in any
+     * earlier result for this instance with `isNew`. Nothing is flagged on the first result
+     * (everything would be "new").
+     */
+    markNewItems: function(instance, items) {
+        const rows = this.assignRowIds(instance, items);
+        if (rows.firstResult) {
+            return rows.items;
         }
+        return rows.items.map((item) => (rows.unsent.has(item) ? { ...item, isNew: true } : item));
     },
 
-    scrapeHtmlNews: function(sourceConfig) {
-        const url = sourceConfig.url;
-        const selector = sourceConfig.selector || '.flashes-item';
-        const titleSelector = sourceConfig.titleSelector || selector;
-        const linkSelector = sourceConfig.linkSelector;
-        const dateSelector = sourceConfig.dateSelector;
-        
-        Log.info("MMM-IsraelNews: Scraping HTML from: " + url);
-        
-        return axios.get(url, browserLikeAxiosConfig())
-        .then(response => {
-            const $ = cheerio.load(response.data);
-            const items = [];
-            
-            $(selector).each((index, element) => {
-                const $element = $(element);
-                
-                // Extract title
-                let title = '';
-                if (titleSelector === selector) {
-                    title = $element.text().trim();
-                } else {
-                    title = $element.find(titleSelector).text().trim();
+    /**
+     * GET through axios. Sends If-None-Match / If-Modified-Since when the URL's last response had
+     * a validator, and on a 304 returns that stored response (flagged `notModified`; pass it to
+     * `this.httpCache.parsed` to reuse its parse). Retry-After / caching headers of every response
+     * (HTTP errors included) are noted for the source being fetched, so its next fetch can honour them.
+     */
+    httpGet: function(url, options) {
+        const { requestOptions, ...opts } = options || {};
+        const key = this.httpCache.keyFor(url, opts.params);
+        const note = (response) => {
+            const hints = fetchContext.getStore();
+            if (hints && response) {
+                hints.push({
+                    retryAfterMs: retryAfterMs(response.headers),
+                    freshnessMs: freshnessMs(response.headers)
+                });
+            }
+        };
+        const request = (conditional) =>
+            axios.get(url, {
+                ...opts,
+                ...axiosAgentOptions(url, requestOptions),
+                headers: { ...opts.headers, ...conditional },
+                validateStatus: (status) => (status >= 200 && status < 300) || status === 304
+            });
+
+        return request(this.httpCache.conditionalHeaders(key))
+            .then((res) => {
+                if (res.status !== 304) {
+                    return res;
                 }
-                
-                // Extract link
-                let link = '';
-                if (linkSelector) {
-                    const linkElement = $element.find(linkSelector);
-                    link = linkElement.attr('href') || '';
-                    // Make relative links absolute
-                    if (link && !link.startsWith('http')) {
-                        const urlObj = new URL(url);
-                        link = urlObj.origin + (link.startsWith('/') ? '' : '/') + link;
-                    }
-                } else {
-                    // Default: try to find a link in the element
-                    const linkElement = $element.find('a').first();
-                    link = linkElement.attr('href') || '';
-                    if (link && !link.startsWith('http')) {
-                        const urlObj = new URL(url);
-                        link = urlObj.origin + (link.startsWith('/') ? '' : '/') + link;
+                const cached = this.httpCache.replay(key, res.headers);
+                if (cached) {
+                    Log.info("MMM-IsraelNews: Not modified (304), reusing previous response: " + url);
+                    return cached;
+                }
+                // Nothing stored to reuse (should not happen): ask for the full body
+                return request({});
+            })
+            .then(
+                (res) => {
+                    note(res);
+                    if (!res.notModified) {
+                        this.httpCache.store(key, res);
+                        res.cacheKey = key;
                     }
+                    return res;
+                },
+                (err) => {
+                    note(err.response);
+                    throw err;
                 }
-                
-                // Extract date
-                let pubDate = '';
-                if (dateSelector) {
-                    pubDate = $element.find(dateSelector).text().trim();
+            );
+    },
+
+    /** A source as an object with the module-level options it does not set itself (caFile, proxy, renderer). */
+    sourceRequestConfig: function(config, sourceConfig) {
+        const merged = typeof sourceConfig === "string" ? { url: sourceConfig } : { ...sourceConfig };
+        INHERITED_SOURCE_OPTIONS.forEach((key) => {
+            if (merged[key] == null && config && config[key] != null) {
+                merged[key] = config[key];
+            }
+        });
+        return merged;
+    },
+
+    rememberHostOptions: function(instance, url, requestConfig) {
+        try {
+            const host = new URL(url).hostname.replace(/^www\./, "");
+            instance.hostRequestOptions.set(host, requestConfig);
+        } catch (err) {
+            // not a URL; nothing to remember
+        }
+    },
+
+    /**
+     * Agent for a favicon or image request of an instance: the request options of its source on the same
+     * (or a parent/sub) domain, else its module-level ones. Other instances' proxy / TLS settings never apply.
+     */
+    agentForUrl: function(instance, url) {
+        const urlObj = new URL(url);
+        const host = urlObj.hostname.replace(/^www\./, "");
+        let options = instance.hostRequestOptions.get(host);
+        if (!options) {
+            instance.hostRequestOptions.forEach((value, sourceHost) => {
+                if (!options && (host.endsWith("." + sourceHost) || sourceHost.endsWith("." + host))) {
+                    options = value;
+                }
+            });
+        }
+        return agentFor(urlObj, options || instance.defaultRequestOptions);
+    },
+
+    /** One scheduler entry per configured source; failure counts carry over for unchanged sources. */
+    buildSources: function(instance) {
+        const config = instance.config;
+        // Support both old format (just URLs) and new format (config object)
+        const urls = Array.isArray(config) ? config : config.urls;
+        // Handle both single URL (backward compatibility) and array of URLs
+        const urlArray = Array.isArray(urls) ? urls : [urls];
+        const previous = new Map(instance.sources.map((source) => [source.label, source]));
+        instance.defaultRequestOptions = this.sourceRequestConfig(config, {});
+        instance.hostRequestOptions = new Map();
+        instance.agentFor = (url) => this.agentForUrl(instance, url);
+
+        instance.sources = urlArray.map((sourceConfig) => {
+            const faviconKey = sourceUrlForFavicon(sourceConfig);
+            const feedUrl = typeof sourceConfig === "string" ? sourceConfig : sourceConfig.url;
+            const label = faviconKey || feedUrl || "unknown";
+            const old = previous.get(label);
+            const saved = instance.sourceResults[label];
+            const requestConfig = this.sourceRequestConfig(config, sourceConfig);
+            if (requestConfig.insecureTLS === true) {
+                Log.warn("MMM-IsraelNews: TLS certificate verification is OFF for " + label + " (insecureTLS)");
+            }
+            this.rememberHostOptions(instance, faviconKey || feedUrl, requestConfig);
+            return {
+                label: label,
+                config: sourceConfig,
+                // Source options plus inherited module-level request options; what the fetchers get
+                requestConfig: requestConfig,
+                faviconKey: faviconKey,
+                timer: null,
+                failures: old ? old.failures : 0,
+                retryAfterMs: null,
+                freshnessMs: null,
+                result: null,
+                // Health for the front end (see sourceStatus); a restored cache counts as the last success
+                lastSuccess: old ? old.lastSuccess : (saved ? saved.savedAt : null),
+                lastError: old ? old.lastError : null,
+                lastErrorAt: old ? old.lastErrorAt : null,
+                itemCount: old ? old.itemCount : null
+            };
+        });
+    },
+
+    /** (Re)start an instance: rebuild its sources, fetch them all now, then keep each on its own timer. */
+    startSources: function(instance) {
+        this.stopReload(instance);
+        this.buildSources(instance);
+        instance.running = true;
+        this.refreshAllSources(instance);
+    },
+
+    /** Fetch every source of an instance, push one merged result, then schedule each source. */
+    refreshAllSources: function(instance) {
+        const sources = instance.sources;
+        const urlsForFavicon = sources.map((source) => source.faviconKey);
+
+        Log.info("MMM-IsraelNews: Fetching news from " + sources.length + " sources [" + instance.identifier + "]");
+
+        return this.iconUtils.getFaviconUrls(urlsForFavicon, instance.agentFor)
+            .then((faviconMap) => {
+                instance.favicons = faviconMap;
+                return Promise.all(sources.map((source) => this.fetchSource(instance, source)));
+            })
+            .then(async () => {
+                if (instance.sources !== sources) {
+                    return; // Config changed while fetching; the new source list has its own refresh
+                }
+                this.publishNews(instance);
+
+                // Re-fetch missing favicons for non-bundled sources (bundled icons are in icons/)
+                const missingIcons = urlsForFavicon.filter(url => !this.iconUtils.getBuiltinIcon(url) && !this.iconUtils.getCachedIconPath(url));
+                if (missingIcons.length > 0) {
+                    Log.info(`MMM-IsraelNews: Re-fetching favicons for ${missingIcons.length} custom sources`);
+                    await Promise.all(missingIcons.map(url => this.iconUtils.getFaviconUrl(url, instance.agentFor).then((faviconUrl) => {
+                        if (faviconUrl) {
+                            instance.favicons.set(url, faviconUrl);
+                        }
+                    })));
+                }
+            })
+            .catch((err) => this.sendNewsError(instance, err))
+            .then(() => {
+                // Schedule every source even on error to keep trying
+                if (instance.sources === sources) {
+                    sources.forEach((source) => this.scheduleSource(instance, source));
+                }
+            });
+    },
+
+    /** Timer for one source: fetch it, push the re-merged list if it changed, schedule its next fetch. */
+    refreshSource: function(instance, source) {
+        const previous = source.result;
+        const previousHealth = sourceHealth(source);
+        this.logSchedule(instance, source, "Auto-reload triggered for " + source.label + " [" + instance.identifier + "]");
+        this.fetchSource(instance, source)
+            .then((result) => {
+                // Unchanged sources (e.g. a quiet alerts poll every few seconds) do not re-send the list,
+                // unless their health changed (another failure, a new error) and the status must be updated
+                if (
+                    instance.sources.includes(source) &&
+                    (!sameSourceResult(previous, result) || sourceHealth(source) !== previousHealth)
+                ) {
+                    this.publishNews(instance);
+                }
+            })
+            .catch((err) => this.sendNewsError(instance, err))
+            .then(() => this.scheduleSource(instance, source));
+    },
+
+    /**
+     * Fetch one source into `source.result` ({ items, sourceFailed, sourceLabel }) and record
+     * its health (failure count, last success / error) and the Retry-After / freshness hints
+     * of the responses it got.
+     */
+    fetchSource: function(instance, source) {
+        const hints = [];
+        const faviconUrl = instance.favicons.get(source.faviconKey);
+        const itemsPromise = fetchContext.run(hints, () =>
+            Promise.resolve().then(() => this.fetchSourceItems(source.requestConfig))
+        );
+
+        return wrapSourceFetch(source.label, itemsPromise.then((items) => withFavicon(items, faviconUrl)))
+            .then((result) => {
+                const retryAfters = hints.map((h) => h.retryAfterMs).filter((ms) => ms != null);
+                const freshness = hints.map((h) => h.freshnessMs).filter((ms) => ms != null);
+                source.result = result;
+                source.failures = result.sourceFailed ? source.failures + 1 : 0;
+                if (result.sourceFailed) {
+                    source.lastError = result.errorDetail;
+                    source.lastErrorAt = Date.now();
                 } else {
-                    // Default: use current time for HTML scraped content
-                    pubDate = new Date().toISOString();
+                    source.lastSuccess = Date.now();
+                    source.itemCount = result.items.length;
                 }
-                
-                if (title && title.length > 5) { // Only include items with meaningful titles
-                    items.push({
-                        title: title,
-                        link: link || url,
-                        pubDate: pubDate,
-                        description: title, // Use title as description for HTML content
-                        source: url
+                source.retryAfterMs = retryAfters.length > 0 ? Math.max(...retryAfters) : null;
+                source.freshnessMs = freshness.length > 0 ? Math.min(...freshness) : null;
+                return result;
+            });
+    },
+
+    /**
+     * With showImages, items whose `image` is already cached get `thumbnail`. The others are downloaded
+     * in the background (headlines never wait for image hosts) and the list is published again once
+     * some are ready; a failed image only leaves the thumbnail out.
+     */
+    withThumbnails: function(instance, items) {
+        const config = instance.config || {};
+        if (!config.showImages) {
+            return items;
+        }
+        const size = parseInt(config.imageSize, 10) || 80;
+        const missing = [];
+        const out = items.map((item) => {
+            if (!item.image) {
+                return item;
+            }
+            const thumbnail = this.imageCache.cachedThumbnail(item.image, size);
+            if (thumbnail) {
+                return { ...item, thumbnail: thumbnail };
+            }
+            missing.push(item.image);
+            return item;
+        });
+        missing.forEach((url) => {
+            this.imageCache.thumbnailFor(url, size, instance.agentFor).then((thumbnail) => {
+                if (thumbnail) {
+                    this.schedulePublish(instance);
+                }
+            });
+        });
+        return out;
+    },
+
+    /** Publish an instance's list again shortly (thumbnails finishing together cause one NEWS_RESULT). */
+    schedulePublish: function(instance) {
+        if (instance.publishTimer) {
+            return;
+        }
+        instance.publishTimer = setTimeout(() => {
+            instance.publishTimer = null;
+            if (instance.running && this.instances.get(instance.identifier) === instance) {
+                this.publishNews(instance);
+            }
+        }, THUMBNAIL_PUBLISH_DELAY_MS);
+    },
+
+    /** Health of each source, sent with NEWS_RESULT as `sources` (times are ISO strings or null). */
+    sourceStatus: function(instance) {
+        const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+        return instance.sources.map((source) => ({
+            label: source.label,
+            favicon: instance.favicons.get(source.faviconKey) || null,
+            ok: source.failures === 0,
+            lastSuccess: iso(source.lastSuccess),
+            lastError: source.lastError,
+            lastErrorAt: iso(source.lastErrorAt),
+            consecutiveFailures: source.failures,
+            itemCount: source.itemCount
+        }));
+    },
+
+    /** Items of one source, by `type` (no type, or an unknown one: auto-detected). */
+    fetchSourceItems: function(sourceConfig) {
+        const feedUrl = typeof sourceConfig === "string" ? sourceConfig : sourceConfig.url;
+        const sourceType = typeof sourceConfig === "object" ? sourceConfig.type : undefined;
+
+        if (sourceType === "html") {
+            return this.scrapeHtmlNews(sourceConfig);
+        }
+        if (sourceType === "rendered-html") {
+            return this.fetchRenderedHtml(sourceConfig);
+        }
+        if (sourceType === "kan-newsflash") {
+            return this.fetchKanNewsflash(sourceConfig);
+        }
+        if (sourceType === "i24-news") {
+            return this.fetchI24News(sourceConfig);
+        }
+        if (sourceType === "atom") {
+            return this.fetchAtomFeed(sourceConfig);
+        }
+        if (sourceType === "json-feed") {
+            return this.fetchJsonFeed(sourceConfig);
+        }
+        if (sourceType === "json") {
+            return this.fetchJsonApi(sourceConfig);
+        }
+        if (sourceType === "rss") {
+            return this.fetchRssFeed(sourceConfig);
+        }
+        if (sourceType === "oref-alerts") {
+            return this.fetchOrefAlerts(sourceConfig);
+        }
+        // No type (or an unknown one): detect from the response, cached per URL
+        if (sourceType) {
+            Log.warn("MMM-IsraelNews: Unknown source type '" + sourceType + "' for " + feedUrl + "; auto-detecting");
+        }
+        return this.fetchAutoDetected(sourceConfig);
+    },
+
+    /** Seconds between fetches of a source: its `refreshInterval`, else its type's default, else `updateInterval`. */
+    sourceInterval: function(instance, source) {
+        return source.requestConfig.refreshInterval ||
+            DEFAULT_REFRESH_INTERVALS[source.requestConfig.type] ||
+            instance.config.updateInterval ||
+            300; // Default 5 minutes
+    },
+
+    /** Scheduler log line; sources polled more than once a minute log at debug level while healthy. */
+    logSchedule: function(instance, source, message) {
+        if (this.sourceInterval(instance, source) < 60 && source.failures === 0) {
+            Log.debug("MMM-IsraelNews: " + message);
+        } else {
+            Log.info("MMM-IsraelNews: " + message);
+        }
+    },
+
+    /**
+     * Schedule the next fetch of one source (see sourceInterval), stretched by exponential
+     * backoff while it fails and by Retry-After / caching headers.
+     */
+    scheduleSource: function(instance, source) {
+        if (source.timer) {
+            clearTimeout(source.timer);
+            source.timer = null;
+        }
+        if (!instance.running || !instance.sources.includes(source)) {
+            return;
+        }
+
+        const config = instance.config;
+        const interval = this.sourceInterval(instance, source);
+        const typeMaxBackoff = MAX_BACKOFF_BY_TYPE[source.requestConfig.type];
+        const maxBackoff = config.maxBackoff || DEFAULT_MAX_BACKOFF;
+        const delayMs = nextFetchDelay({
+            intervalMs: interval * 1000,
+            maxMs: (typeMaxBackoff ? Math.min(maxBackoff, typeMaxBackoff) : maxBackoff) * 1000,
+            failures: source.failures,
+            retryAfterMs: source.retryAfterMs,
+            freshnessMs: typeMaxBackoff ? null : source.freshnessMs
+        });
+
+        this.logSchedule(
+            instance,
+            source,
+            "Next fetch of " + source.label + " [" + instance.identifier + "] in " + Math.round(delayMs / 1000) + " seconds" +
+                (source.failures > 0 ? " (backoff after " + source.failures + " failure(s))" : "")
+        );
+
+        source.timer = setTimeout(() => {
+            source.timer = null;
+            this.refreshSource(instance, source);
+        }, delayMs);
+    },
+
+    // Stop every source timer of one instance
+    stopReload: function(instance) {
+        instance.running = false;
+        clearTimeout(instance.publishTimer);
+        instance.publishTimer = null;
+        instance.sources.forEach((source) => {
+            if (source.timer) {
+                clearTimeout(source.timer);
+                source.timer = null;
+            }
+        });
+        Log.info("MMM-IsraelNews: Reload timers stopped [" + instance.identifier + "]");
+    },
+
+    /**
+     * RSS: download raw bytes, decode (charset header / XML declaration, incl. windows-1255
+     * and ISO-8859-8), parse; on a parse error sanitize the XML and parse once more.
+     */
+    fetchRssFeed: function(sourceConfig) {
+        const feedUrl = typeof sourceConfig === "string" ? sourceConfig : sourceConfig.url;
+        const axiosOpts = browserLikeAxiosConfig(sourceConfig);
+
+        return this
+            .httpGet(feedUrl, {
+                ...axiosOpts,
+                headers: {
+                    ...axiosOpts.headers,
+                    Accept: "application/rss+xml, application/rdf+xml, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.8"
+                },
+                responseType: "arraybuffer"
+            })
+            .then((res) => this.httpCache.parsed(res, () => {
+                const decoded = decodeFeedBody(Buffer.from(res.data), res.headers["content-type"]);
+                if (decoded.encoding !== "utf-8") {
+                    Log.info("MMM-IsraelNews: Decoded " + feedUrl + " as " + decoded.encoding);
+                }
+                return this.parser.parseString(decoded.text).catch((parseErr) => {
+                    const cleaned = sanitizeXml(decoded.text);
+                    Log.warn(
+                        "MMM-IsraelNews: RSS parse failed for " + feedUrl + " (" + parseErr.message.split("\n")[0] + "); " +
+                            (cleaned.repairs.length > 0 ? "repairs applied: " + cleaned.repairs.join(", ") : "no repairs applicable") +
+                            " — retrying"
+                    );
+                    return this.parser.parseString(cleaned.xml);
+                });
+            }))
+            .then((feed) => rssFeedToItems(feed, feedUrl));
+    },
+
+    /** Atom 1.0 (`type: "atom"`): same download/decode/repair path as RSS, mapped by atomToItems. */
+    fetchAtomFeed: function(sourceConfig) {
+        const feedUrl = typeof sourceConfig === "string" ? sourceConfig : sourceConfig.url;
+        const axiosOpts = browserLikeAxiosConfig(sourceConfig);
+
+        return this
+            .httpGet(feedUrl, {
+                ...axiosOpts,
+                headers: {
+                    ...axiosOpts.headers,
+                    Accept: "application/atom+xml, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.8"
+                },
+                responseType: "arraybuffer"
+            })
+            .then((res) => this.httpCache.parsed(res, () => {
+                const decoded = decodeFeedBody(Buffer.from(res.data), res.headers["content-type"]);
+                let items = atomToItems(decoded.text, feedUrl);
+                if (items.length === 0) {
+                    // cheerio is lenient, so a broken document shows up as "no entries" rather than an error
+                    const cleaned = sanitizeXml(decoded.text);
+                    if (cleaned.repairs.length > 0) {
+                        Log.warn("MMM-IsraelNews: Atom feed " + feedUrl + " had no entries; repairs applied: " + cleaned.repairs.join(", ") + " — retrying");
+                        items = atomToItems(cleaned.xml, feedUrl);
+                    }
+                }
+                Log.info("MMM-IsraelNews: Atom parsed " + items.length + " items from " + feedUrl);
+                return items;
+            }));
+    },
+
+    /** JSON Feed 1.0 / 1.1 (`type: "json-feed"`), mapped by jsonFeedToItems. */
+    fetchJsonFeed: function(sourceConfig) {
+        const feedUrl = typeof sourceConfig === "string" ? sourceConfig : sourceConfig.url;
+        const axiosOpts = browserLikeAxiosConfig(sourceConfig);
+
+        return this
+            .httpGet(feedUrl, {
+                ...axiosOpts,
+                headers: {
+                    ...axiosOpts.headers,
+                    Accept: "application/feed+json, application/json;q=0.9, */*;q=0.8"
+                },
+                responseType: "text"
+            })
+            .then((res) => this.httpCache.parsed(res, () => {
+                const items = jsonFeedToItems(JSON.parse(res.data), feedUrl);
+                Log.info("MMM-IsraelNews: JSON Feed parsed " + items.length + " items from " + feedUrl);
+                return items;
+            }));
+    },
+
+    /** Any JSON list (`type: "json"`), mapped by jsonApiToItems with the source's `itemsPath` / `fields`. */
+    fetchJsonApi: function(sourceConfig) {
+        const feedUrl = typeof sourceConfig === "string" ? sourceConfig : sourceConfig.url;
+        const options = typeof sourceConfig === "object" ? sourceConfig : {};
+        const axiosOpts = browserLikeAxiosConfig(sourceConfig);
+
+        return this
+            .httpGet(feedUrl, {
+                ...axiosOpts,
+                headers: {
+                    ...axiosOpts.headers,
+                    Accept: "application/json, text/plain;q=0.9, */*;q=0.8"
+                },
+                responseType: "arraybuffer"
+            })
+            .then((res) => this.httpCache.parsed(res, () => {
+                const decoded = decodeFeedBody(Buffer.from(res.data), res.headers["content-type"]);
+                const items = jsonApiToItems(JSON.parse(decoded.text.trim()), options, feedUrl);
+                Log.info("MMM-IsraelNews: JSON parsed " + items.length + " items from " + feedUrl);
+                return items;
+            }, JSON.stringify([options.itemsPath, options.fields])));
+    },
+
+    /**
+     * Source without `type`: fetch once, detect RSS / Atom / JSON Feed / JSON / HTML (content-type, body sniffing,
+     * `<link rel="alternate">` feed discovery), cache the result per URL, then use that fetcher.
+     */
+    fetchAutoDetected: function(sourceConfig) {
+        const url = typeof sourceConfig === "string" ? sourceConfig : sourceConfig.url;
+        const cached = this.detectedTypes.get(url);
+        const detection = cached
+            ? Promise.resolve(cached)
+            : this
+                .httpGet(url, { ...browserLikeAxiosConfig(sourceConfig), responseType: "arraybuffer" })
+                .then((res) => {
+                    const contentType = res.headers["content-type"] || "";
+                    const decoded = decodeFeedBody(Buffer.from(res.data), contentType);
+                    const detected = detectSourceType(decoded.text, contentType, url);
+                    Log.info(
+                        "MMM-IsraelNews: Detected " + url + " as " + detected.type +
+                            (detected.url !== url ? " (" + detected.url + ")" : "") +
+                            " — " + detected.reason
+                    );
+                    this.detectedTypes.set(url, detected);
+                    return detected;
+                });
+
+        return detection.then((detected) => {
+            // The detected fetcher keeps the source's options (TLS etc.), with the (discovered) feed URL
+            const baseConfig = typeof sourceConfig === "string" ? { url } : sourceConfig;
+            if (detected.type === "rss") {
+                return this.fetchRssFeed({ ...baseConfig, url: detected.url });
+            }
+            if (detected.type === "atom") {
+                return this.fetchAtomFeed({ ...baseConfig, url: detected.url });
+            }
+            if (detected.type === "json-feed") {
+                return this.fetchJsonFeed({ ...baseConfig, url: detected.url });
+            }
+            if (detected.type === "json") {
+                // Common field names unless the source sets itemsPath / fields
+                return this.fetchJsonApi({ ...baseConfig, url: detected.url });
+            }
+            return this.scrapeHtmlNews({ ...baseConfig, url: detected.url, type: "html" });
+        });
+    },
+
+    /**
+     * HTML page (`type: "html"`): rows and fields by CSS selector (see html-scraper.js), following
+     * the next-page link for up to `maxPages` pages. A later page that fails only ends the list there.
+     */
+    scrapeHtmlNews: function(sourceConfig) {
+        const variant = JSON.stringify(scrapeOptions(sourceConfig));
+        Log.info("MMM-IsraelNews: Scraping HTML from: " + sourceConfig.url);
+
+        return this.scrapePages(sourceConfig, (pageUrl, parse) =>
+            this.httpGet(pageUrl, browserLikeAxiosConfig(sourceConfig))
+                .then((response) => this.httpCache.parsed(response, () => parse(response.data, pageUrl), variant))
+        );
+    },
+
+    /**
+     * Page rendered by a browser (`type: "rendered-html"`, see renderers.js): waits for `selector`,
+     * then the same extraction and paging as `type: "html"`.
+     */
+    fetchRenderedHtml: function(sourceConfig) {
+        const options = scrapeOptions(sourceConfig);
+        const renderTimeout = parseFloat(sourceConfig.renderTimeout) || 30;
+        Log.info("MMM-IsraelNews: Rendering " + sourceConfig.url + " with " + rendererLabel(sourceConfig.renderer));
+
+        return this.scrapePages(sourceConfig, (pageUrl, parse) =>
+            renderPage(pageUrl, {
+                renderer: sourceConfig.renderer,
+                waitForSelector: options.selector,
+                timeoutMs: renderTimeout * 1000,
+                headers: browserLikeAxiosConfig(sourceConfig).headers,
+                requestOptions: sourceConfig
+            }).then((rendered) => parse(rendered.html, rendered.url || pageUrl))
+        );
+    },
+
+    /**
+     * Scrapes a source's pages: `loadPage(pageUrl, parse)` resolves to `parse(html, finalUrl)`.
+     * Follows the next-page link for up to `maxPages` pages.
+     */
+    scrapePages: function(sourceConfig, loadPage) {
+        const url = sourceConfig.url;
+        const options = scrapeOptions(sourceConfig);
+        const items = [];
+        const seen = new Set();
+        const visited = new Set();
+
+        const parse = (html, pageUrl) => {
+            const page = scrapeHtmlItems(html, pageUrl, options, url);
+            if (page.unparsedDates.length > 0) {
+                Log.warn(
+                    "MMM-IsraelNews: Could not parse " + page.unparsedDates.length + " date(s) from " + pageUrl + " (e.g. '" + page.unparsedDates[0] +
+                        "'); using the fetch time. Set dateFormat on the source."
+                );
+            }
+            return page;
+        };
+
+        const scrapePage = (pageUrl, pageNumber) => {
+            visited.add(pageUrl);
+            return loadPage(pageUrl, parse).then((page) => {
+                // Rows can shift between pages while they are fetched; keep each once
+                page.items.forEach((item) => {
+                    const key = item.link + "|" + item.title;
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        items.push(item);
+                    }
+                });
+                if (page.nextUrl && pageNumber < options.maxPages && !visited.has(page.nextUrl)) {
+                    return scrapePage(page.nextUrl, pageNumber + 1).catch((err) => {
+                        Log.warn("MMM-IsraelNews: Stopped at page " + (pageNumber + 1) + " of " + url + " — " + formatFetchError(err));
                     });
                 }
+                return null;
             });
-            
+        };
+
+        return scrapePage(url, 1).then(() => {
             if (items.length === 0) {
-                Log.warn("MMM-IsraelNews: No items found with selector '" + selector + "' from " + url + " (content may be loaded dynamically)");
+                Log.warn("MMM-IsraelNews: No items found with selector '" + options.selector + "' from " + url +
+                    (sourceConfig.type === "rendered-html" ? "" : " (content may be loaded dynamically; try type: \"rendered-html\")"));
+            } else if (visited.size > 1) {
+                Log.info("MMM-IsraelNews: Scraped " + items.length + " items from " + visited.size + " pages of " + url);
             }
-            
             return items;
         });
     },
@@ -263,7 +1063,7 @@ module.exports = NodeHelper.create({
      */
     fetchKanNewsflash: function(sourceConfig) {
         const pageUrl = sourceConfig.url || "https://www.kan.org.il/newsflash";
-        const axiosOpts = browserLikeAxiosConfig();
+        const axiosOpts = browserLikeAxiosConfig(sourceConfig);
 
         Log.info("MMM-IsraelNews: Fetching Kan newsflash from page: " + pageUrl);
 
@@ -273,21 +1073,21 @@ module.exports = NodeHelper.create({
             Referer: pageUrl
         };
 
-        return axios
-            .get(pageUrl, axiosOpts)
-            .then((pageRes) => {
+        return this
+            .httpGet(pageUrl, axiosOpts)
+            .then((pageRes) => this.httpCache.parsed(pageRes, () => {
                 const $page = cheerio.load(pageRes.data);
-                let pageId = $page(".flash-page").data("page-id");
-                if (pageId == null || pageId === "") {
-                    pageId = $page(".flash-page").attr("data-page-id");
-                }
+                const pageId = $page(".flash-page").data("page-id");
+                return pageId == null || pageId === "" ? $page(".flash-page").attr("data-page-id") : pageId;
+            }))
+            .then((pageId) => {
                 if (pageId == null || pageId === "") {
                     Log.warn("MMM-IsraelNews: Kan page missing data-page-id; cannot load flashes");
                     return [];
                 }
                 const apiUrl = new URL("/umbraco/surface/NewsFlashSurface/GetNews", pageUrl).toString();
-                return axios
-                    .get(apiUrl, {
+                return this
+                    .httpGet(apiUrl, {
                         ...axiosOpts,
                         headers: apiHeaders,
                         params: {
@@ -297,7 +1097,7 @@ module.exports = NodeHelper.create({
                         },
                         responseType: "text"
                     })
-                    .then((flashRes) => {
+                    .then((flashRes) => this.httpCache.parsed(flashRes, () => {
                         const $ = cheerio.load(flashRes.data);
                         const items = [];
 
@@ -345,7 +1145,7 @@ module.exports = NodeHelper.create({
                             );
                         }
                         return items;
-                    });
+                    }, JSON.stringify([pageUrl, skipHourFilter])));
             })
             .catch((err) => {
                 Log.error("MMM-IsraelNews: Error fetching Kan newsflash: " + formatFetchError(err));
@@ -362,215 +1162,314 @@ module.exports = NodeHelper.create({
         const pageUrl = sourceConfig.url || `https://www.i24news.tv/${locale}/news`;
         const apiBase = String(sourceConfig.apiBaseUrl || "https://api.i24news.tv").replace(/\/$/, "");
         const apiUrl = `${apiBase}/v2/${locale}/news`;
-        const axiosOpts = browserLikeAxiosConfig();
+        const axiosOpts = browserLikeAxiosConfig(sourceConfig);
 
         Log.info("MMM-IsraelNews: Fetching i24NEWS: " + apiUrl);
 
-        return axios
-            .get(apiUrl, {
+        return this
+            .httpGet(apiUrl, {
                 ...axiosOpts,
                 headers: {
                     ...axiosOpts.headers,
                     Accept: "application/json, text/plain, */*"
                 }
             })
-            .then((res) => {
+            .then((res) => this.httpCache.parsed(res, () => {
                 const rows = Array.isArray(res.data) ? res.data : [];
                 const items = rows.map((entry) => {
                     const articleUrl =
                         entry.content && typeof entry.content.frontendUrl === "string"
                             ? entry.content.frontendUrl
                             : "";
-                    return {
+                    const item = {
                         title: entry.title || "No title",
                         link: articleUrl || pageUrl,
                         pubDate: entry.startedAt || new Date().toISOString(),
                         description: entry.title || "",
                         source: pageUrl
                     };
+                    const image = i24Image(entry);
+                    if (image) {
+                        item.image = image;
+                    }
+                    return item;
                 });
                 Log.info("MMM-IsraelNews: i24NEWS parsed " + items.length + " items");
                 return items;
-            })
+            }, pageUrl))
             .catch((err) => {
                 Log.error("MMM-IsraelNews: Error fetching i24NEWS: " + formatFetchError(err));
                 throw err;
             });
     },
 
-    getNews: function(config) {
-        const self = this;
-        
-        // Support both old format (just URLs) and new format (config object)
-        const urls = Array.isArray(config) ? config : config.urls;
-        const newsHoursBack = typeof config === 'object' && !Array.isArray(config) ? config.newsHoursBack : 24;
-        
-        // Handle both single URL (backward compatibility) and array of URLs
-        const urlArray = Array.isArray(urls) ? urls : [urls];
-        
-        Log.info("MMM-IsraelNews: Fetching news from " + urlArray.length + " sources");
-        Log.info("MMM-IsraelNews: Filtering news from last " + newsHoursBack + " hours");
-        
-        // Calculate the cutoff time
-        const cutoffTime = new Date();
-        cutoffTime.setHours(cutoffTime.getHours() - newsHoursBack);
-        
-        // Get favicon URLs for all sources (handle both string and object formats)
-        const urlsForFavicon = urlArray.map((source) => sourceUrlForFavicon(source));
-        
-        // First, get favicon URLs for all sources
-        this.iconUtils.getFaviconUrls(urlsForFavicon)
-            .then(faviconMap => {
-                // Create promises for all sources (RSS and HTML)
-                const fetchPromises = urlArray.map((sourceConfig) => {
-                    const faviconKey = sourceUrlForFavicon(sourceConfig);
-                    const feedUrl = typeof sourceConfig === "string" ? sourceConfig : sourceConfig.url;
-                    const sourceType = typeof sourceConfig === "object" ? sourceConfig.type : "rss";
-                    const faviconUrl = faviconMap.get(faviconKey);
-                    const label = faviconKey || feedUrl || "unknown";
-
-                    if (sourceType === "html") {
-                        return wrapSourceFetch(
-                            label,
-                            this.scrapeHtmlNews(sourceConfig).then((items) => withFavicon(items, faviconUrl))
-                        );
-                    }
-                    if (sourceType === "kan-newsflash") {
-                        return wrapSourceFetch(
-                            label,
-                            this.fetchKanNewsflash(sourceConfig).then((items) => withFavicon(items, faviconUrl))
-                        );
-                    }
-                    if (sourceType === "i24-news") {
-                        return wrapSourceFetch(
-                            label,
-                            this.fetchI24News(sourceConfig).then((items) => withFavicon(items, faviconUrl))
-                        );
-                    }
-                    // RSS (default)
-                    return wrapSourceFetch(
-                        label,
-                        this.parser.parseURL(feedUrl).then((feed) =>
-                            withFavicon(
-                                feed.items.map((item) => ({
-                                    title: item.title || "No title",
-                                    link: item.link || "",
-                                    pubDate: item.pubDate || "",
-                                    description: item.description || "",
-                                    source: feedUrl
-                                })),
-                                faviconUrl
-                            )
-                        )
-                    );
-                });
+    /**
+     * פיקוד העורף alerts (`type: "oref-alerts"`): polls alerts.json under `url` (default the Oref site;
+     * a full .json URL is used as is) and keeps the alerts for the configured `areas`. The body is empty
+     * while nothing is active. Items carry `alert` for the front end's takeover instead of the ticker.
+     */
+    fetchOrefAlerts: function(sourceConfig) {
+        const base = String(sourceConfig.url || OREF_BASE_URL).replace(/\/$/, "");
+        const alertsUrl = /\.json(\?|$)/i.test(base) ? base : base + OREF_ALERTS_PATH;
+        const siteUrl = new URL(alertsUrl).origin + "/";
+        const wanted = [].concat(sourceConfig.areas || []).map(String);
+        const axiosOpts = browserLikeAxiosConfig(sourceConfig);
 
-                // Wait for all feeds to complete
-                return Promise.all(fetchPromises);
+        return this
+            .httpGet(alertsUrl, {
+                ...axiosOpts,
+                headers: {
+                    ...axiosOpts.headers,
+                    Accept: "application/json, text/plain, */*",
+                    // The endpoint answers the site's own XHR only
+                    Referer: siteUrl,
+                    "X-Requested-With": "XMLHttpRequest"
+                },
+                responseType: "arraybuffer"
             })
-            .then(async (feedsResults) => {
-                const allNewsItems = feedsResults.flatMap((r) => r.items);
-                const allSourcesFailed =
-                    feedsResults.length > 0 && feedsResults.every((r) => r.sourceFailed);
-                Log.info("MMM-IsraelNews: Total items collected: " + allNewsItems.length);
-                if (allSourcesFailed) {
-                    Log.error(
-                        "MMM-IsraelNews: Every source failed this round (" +
-                            feedsResults.length +
-                            " source(s)). See SOURCE_FAIL lines above."
-                    );
+            .then((res) => this.httpCache.parsed(res, () => {
+                // UTF-8 or UTF-16 with a BOM; a BOM / whitespace-only body means no active alert
+                const text = decodeFeedBody(Buffer.from(res.data), res.headers["content-type"]).text.trim();
+                if (!text) {
+                    return [];
                 }
-                
-                // Filter items by publication date (only show items within the specified hours back)
-                const now = new Date();
-                const filteredNewsItems = allNewsItems.filter(item => {
-                    if (item.skipTimeFilter) {
-                        return true;
-                    }
-                    if (!item.pubDate) {
-                        return true; // Keep items without publication date
+                const data = JSON.parse(text);
+                return Array.isArray(data) ? data : [data];
+            }))
+            .then((alerts) => {
+                const listed = new Set();
+                const items = [];
+                alerts.forEach((alert) => {
+                    const alertAreas = [].concat(alert.data || []).map(String).filter(Boolean);
+                    const areas = matchAlertAreas(alertAreas, wanted);
+                    if (areas.length === 0) {
+                        return;
                     }
-                    const itemDate = new Date(item.pubDate);
-                    if (isNaN(itemDate.getTime())) {
-                        return true; // Keep items with invalid dates
+                    const id = String(alert.id || alert.title + "|" + alertAreas.join(","));
+                    const seenKey = alertsUrl + "#" + id;
+                    listed.add(seenKey);
+                    if (!this.alertFirstSeen.has(seenKey)) {
+                        this.alertFirstSeen.set(seenKey, Date.now());
+                        Log.warn("MMM-IsraelNews: ALERT " + (alert.title || "") + " — " + areas.join(", "));
                     }
-                    
-                    // Exclude future items (could be timezone issues)
-                    if (itemDate > now) {
-                        Log.info("MMM-IsraelNews: Excluding future-dated item from " + item.source);
-                        return false;
-                    }
-                    
-                    // Only include items within the time window
-                    return itemDate >= cutoffTime;
+                    const minutes = String(alert.desc || "").match(/(\d+)\s*דקות/);
+                    const title = alert.title || "התרעה";
+                    const receivedAt = new Date(this.alertFirstSeen.get(seenKey)).toISOString();
+                    items.push({
+                        title: title + " — " + areas.join(", "),
+                        link: siteUrl,
+                        pubDate: receivedAt,
+                        description: alert.desc || "",
+                        source: sourceConfig.url || OREF_BASE_URL,
+                        alert: {
+                            id: id,
+                            category: alert.cat != null ? String(alert.cat) : "",
+                            title: title,
+                            areas: areas,
+                            description: alert.desc || "",
+                            receivedAt: receivedAt,
+                            durationSeconds: Number(sourceConfig.alertDurationSeconds) ||
+                                (minutes ? parseInt(minutes[1], 10) * 60 : DEFAULT_ALERT_SECONDS),
+                            // "האירוע הסתיים": the all-clear for these areas
+                            ended: /הסתיים/.test(title)
+                        }
+                    });
                 });
-                
-                Log.info("MMM-IsraelNews: Items after time filtering: " + filteredNewsItems.length + " (from last " + newsHoursBack + " hours)");
-                
-                // Sort by publication date (newest first)
-                filteredNewsItems.sort((a, b) => {
-                    const dateA = new Date(a.pubDate);
-                    const dateB = new Date(b.pubDate);
-                    if (isNaN(dateA.getTime())) return 1;
-                    if (isNaN(dateB.getTime())) return -1;
-                    return dateB - dateA; // Descending order (newest first)
+                // Forget alerts this endpoint no longer lists
+                Array.from(this.alertFirstSeen.keys()).forEach((key) => {
+                    if (key.startsWith(alertsUrl + "#") && !listed.has(key)) {
+                        this.alertFirstSeen.delete(key);
+                    }
                 });
+                return items;
+            });
+    },
 
-                let outItems = filteredNewsItems;
-                let stale = false;
-                if (filteredNewsItems.length === 0 && allSourcesFailed && self.lastSuccessfulNews.length > 0) {
-                    outItems = self.lastSuccessfulNews.slice();
-                    stale = true;
-                    Log.warn(
-                        "MMM-IsraelNews: Showing " +
-                            outItems.length +
-                            " cached headline(s) (stale) — all sources failed; will retry on next interval."
-                    );
-                } else if (filteredNewsItems.length > 0) {
-                    self.lastSuccessfulNews = filteredNewsItems.slice();
-                }
+    /**
+     * Merge the latest result of every source (keyword filters, time window, dedupe, urgent rules,
+     * newest first) and send it to the front end, with the active alerts of oref-alerts sources
+     * (`alerts`, never filtered or cached). Called whenever a source's result changes.
+     */
+    publishNews: function(instance) {
+        const self = this;
+        const config = instance.config;
+        const newsHoursBack = typeof config === 'object' && !Array.isArray(config) ? config.newsHoursBack : 24;
+        const fetched = instance.sources.filter((source) => source.result);
+        if (fetched.length === 0) {
+            return; // Nothing fetched yet; the first refresh will send the list
+        }
+        const isAlertSource = (source) => source.requestConfig.type === "oref-alerts";
+        const alerts = fetched.filter(isAlertSource).flatMap((source) => source.result.items.map((item) => item.alert));
+        const headlineSources = fetched.filter((source) => !isAlertSource(source));
+
+        Log.info("MMM-IsraelNews: Filtering news from last " + newsHoursBack + " hours");
+
+        // Calculate the cutoff time
+        const cutoffTime = new Date();
+        cutoffTime.setHours(cutoffTime.getHours() - newsHoursBack);
 
-                Log.info(
-                    "MMM-IsraelNews: Sending " +
-                        outItems.length +
-                        " news item(s)" +
-                        (stale ? " (stale cache)" : "")
+        // Keyword rules: module-level options plus each source's own
+        const droppedByRule = new Map();
+        const staleMaxAgeMs = (config.cacheMaxAgeHours != null ? config.cacheMaxAgeHours : 12) * 60 * 60 * 1000;
+        const allNewsItems = headlineSources.flatMap((source) => {
+            const r = source.result;
+            const rules = compileKeywordRules([
+                { options: config },
+                { options: source.config, scope: r.sourceLabel }
+            ]);
+            // Failed source: reuse its last good items (time filter still applies below)
+            const saved = instance.sourceResults[r.sourceLabel];
+            if (r.sourceFailed && saved && Date.now() - saved.savedAt <= staleMaxAgeMs) {
+                Log.warn(
+                    "MMM-IsraelNews: SOURCE_STALE [" + r.sourceLabel + "] reusing " + saved.items.length +
+                        " item(s) from " + Math.round((Date.now() - saved.savedAt) / 60000) + " min ago"
                 );
-                self.sendSocketNotification("NEWS_RESULT", { items: outItems, stale: stale });
+                return saved.items.map((item) => ({ ...item, stale: true }));
+            }
+            const filtered = filterByKeywords(r.items, rules);
+            filtered.dropped.forEach((count, label) => {
+                droppedByRule.set(label, (droppedByRule.get(label) || 0) + count);
+            });
+            const items = filtered.items.map((item) => ({ ...item, id: headlineId(item) }));
+            if (!r.sourceFailed) {
+                instance.sourceResults[r.sourceLabel] = { savedAt: Date.now(), items: items };
+            }
+            return items;
+        });
+        // Forget per-source results of sources no longer configured
+        const currentLabels = new Set(instance.sources.map((source) => source.label));
+        Object.keys(instance.sourceResults).forEach((label) => {
+            if (!currentLabels.has(label)) {
+                delete instance.sourceResults[label];
+            }
+        });
+        droppedByRule.forEach((count, label) => {
+            Log.info("MMM-IsraelNews: FILTER " + label + " dropped " + count + " item(s)");
+        });
+        const allSourcesFailed = headlineSources.length > 0 && headlineSources.every((source) => source.result.sourceFailed);
+        Log.info("MMM-IsraelNews: Total items collected: " + allNewsItems.length);
+        if (allSourcesFailed) {
+            Log.error(
+                "MMM-IsraelNews: Every source is failing (" +
+                    headlineSources.length +
+                    " source(s)). See SOURCE_FAIL lines above."
+            );
+        }
 
-                // Re-fetch missing favicons for non-bundled sources (bundled icons are in icons/)
-                const missingIcons = urlsForFavicon.filter(url => !self.iconUtils.getBuiltinIcon(url) && !self.iconUtils.getCachedIconPath(url));
-                if (missingIcons.length > 0) {
-                    Log.info(`MMM-IsraelNews: Re-fetching favicons for ${missingIcons.length} custom sources`);
-                    await Promise.all(missingIcons.map(url => self.iconUtils.getFaviconUrl(url)));
-                }
+        // Filter items by publication date (only show items within the specified hours back)
+        const now = new Date();
+        const filteredNewsItems = allNewsItems.filter((item) => withinNewsWindow(item, cutoffTime, now));
 
-                // Schedule the next reload after successful fetch
-                self.scheduleReload();
-            })
-            .catch((err) => {
-                const detail = formatFetchError(err);
-                Log.error("MMM-IsraelNews: BATCH_FAIL (before/during merge) " + detail);
-                self.sendSocketNotification("NEWS_ERROR", {
-                    message: err && err.message ? err.message : String(err),
-                    detail: detail
-                });
+        Log.info("MMM-IsraelNews: Items after time filtering: " + filteredNewsItems.length + " (from last " + newsHoursBack + " hours)");
+
+        // Collapse the same flash published by several sources into one row
+        let newsItems = filteredNewsItems;
+        if (config.dedupe !== false) {
+            const deduped = dedupeNewsItems(filteredNewsItems, {
+                threshold: config.dedupeThreshold,
+                windowMinutes: config.dedupeWindowMinutes
+            });
+            newsItems = deduped.items;
+            if (deduped.merged > 0) {
+                Log.info("MMM-IsraelNews: Merged " + deduped.merged + " duplicate headline(s) across sources");
+            }
+        }
+
+        // Flag breaking items (urgentRules) so the front end can highlight and pin them
+        newsItems = markUrgentItems(newsItems, compileUrgentRules(config.urgentRules));
+
+        // Sort by publication date (newest first)
+        newsItems.sort((a, b) => {
+            const dateA = new Date(a.pubDate);
+            const dateB = new Date(b.pubDate);
+            if (isNaN(dateA.getTime())) return 1;
+            if (isNaN(dateB.getTime())) return -1;
+            return dateB - dateA; // Descending order (newest first)
+        });
 
-                // Schedule the next reload even on error to keep trying
-                self.scheduleReload();
+        let outItems = newsItems;
+        let stale = false;
+        if (newsItems.length === 0 && allSourcesFailed && instance.lastSuccessfulNews.length > 0) {
+            outItems = instance.lastSuccessfulNews.slice();
+            stale = true;
+            Log.warn(
+                "MMM-IsraelNews: Showing " +
+                    outItems.length +
+                    " cached headline(s) (stale) — all sources failed; retrying with backoff."
+            );
+        } else if (newsItems.length > 0 && allSourcesFailed) {
+            // Only per-source stale items: show them, keep the last good list as is
+            stale = true;
+        } else if (newsItems.length > 0) {
+            instance.lastSuccessfulNews = newsItems.slice();
+            if (config.persistCache !== false) {
+                self.newsCache.save(instance.identifier, {
+                    merged: instance.lastSuccessfulNews,
+                    sources: instance.sourceResults
+                });
+            }
+        }
+        // Stale lists keep their row ids but never flag anything as new
+        outItems = stale ? self.assignRowIds(instance, outItems).items : self.markNewItems(instance, outItems);
+        outItems = self.withThumbnails(instance, outItems);
+        if (config.showDescription) {
+            // Cleaned description line for the front end (not stored, so the setting can change)
+            outItems = outItems.map((item) => {
+                const summary = descriptionSummary(item.description, item.title, config.descriptionMaxLength);
+                return summary ? { ...item, summary: summary } : item;
             });
+        }
+
+        const newCount = outItems.filter((item) => item.isNew).length;
+        Log.info(
+            "MMM-IsraelNews: Sending " +
+                outItems.length +
+                " news item(s)" +
+                (newCount > 0 ? ", " + newCount + " new" : "") +
+                (stale ? " (stale cache)" : "") +
+                (alerts.length > 0 ? ", " + alerts.length + " active alert(s)" : "")
+        );
+        self.sendSocketNotification("NEWS_RESULT", {
+            identifier: instance.identifier,
+            items: outItems,
+            stale: stale,
+            sources: self.sourceStatus(instance),
+            alerts: alerts
+        });
+    },
+
+    sendNewsError: function(instance, err) {
+        const detail = formatFetchError(err);
+        Log.error("MMM-IsraelNews: BATCH_FAIL (before/during merge) " + detail);
+        this.sendSocketNotification("NEWS_ERROR", {
+            identifier: instance.identifier,
+            message: err && err.message ? err.message : String(err),
+            detail: detail
+        });
     },
 
     socketNotificationReceived: function(notification, payload) {
         Log.info("MMM-IsraelNews: Received notification: " + notification);
         if (notification === "GET_NEWS") {
-            Log.info("MMM-IsraelNews: Processing GET_NEWS request");
-            this.currentConfig = payload; // Store the config for scheduling
-            this.getNews(payload);
-            // scheduleReload is called at end of getNews() - do NOT call here (would double-schedule)
+            const instance = this.getInstance(payload && payload.identifier);
+            Log.info("MMM-IsraelNews: Processing GET_NEWS request [" + instance.identifier + "]");
+            const firstRequest = instance.config == null;
+            instance.config = payload; // Store this instance's config for scheduling
+            if (firstRequest) {
+                this.restorePersistedNews(instance);
+            }
+            const configKey = JSON.stringify(payload);
+            if (instance.running && configKey === instance.configKey) {
+                // Sources are already on their own timers (e.g. a front-end health check): resend the current list
+                this.publishNews(instance);
+            } else {
+                instance.configKey = configKey;
+                this.startSources(instance);
+            }
         } else if (notification === "STOP_NEWS") {
-            Log.info("MMM-IsraelNews: Received STOP_NEWS notification. Stopping reload timer.");
-            this.stopReload();
+            const instance = this.getInstance(payload && payload.identifier);
+            Log.info("MMM-IsraelNews: Received STOP_NEWS notification. Stopping reload timers [" + instance.identifier + "].");
+            this.stopReload(instance);
         } else {
             Log.warn("MMM-IsraelNews: Unknown notification: " + notification);
         }
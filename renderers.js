@@ -0,0 +1,233 @@
+/**
+ * Renderers for `type: "rendered-html"` sources: load a page with its scripts run and return the
+ * HTML once the source's `selector` is on it. Built in:
+ * - "puppeteer": a local headless Chromium (puppeteer or puppeteer-core, installed separately)
+ * - "http": a rendering service with a browserless-style `POST /content` endpoint
+ * A renderer can also be a module path exporting `render(url, options)` → HTML string or `{ html, url }`.
+ */
+const path = require("path");
+const axios = require("axios");
+const Log = require("logger");
+const { axiosAgentOptions, proxyFor } = require("./http-agents");
+
+/** A local browser is closed after this long without renders (it holds ~100 MB on a Pi). */
+const BROWSER_IDLE_MS = 5 * 60 * 1000;
+
+const browsers = new Map();
+
+/** `renderer` option → { name, ...options }: "puppeteer", "http", a module path, or an object with `name` / `module`. */
+function rendererConfig(option) {
+    if (!option) {
+        return { name: "puppeteer" };
+    }
+    if (typeof option === "string") {
+        return /[\\/]|\.js$/.test(option) ? { name: "module", module: option } : { name: option };
+    }
+    return { ...option, name: option.module ? "module" : option.name || "puppeteer" };
+}
+
+function loadPuppeteer() {
+    for (const name of ["puppeteer", "puppeteer-core"]) {
+        try {
+            return require(name);
+        } catch (err) {
+            if (err.code !== "MODULE_NOT_FOUND") {
+                throw err;
+            }
+        }
+    }
+    throw new Error(
+        "The puppeteer renderer needs puppeteer: run `npm install puppeteer` in the module folder " +
+            "(or `npm install puppeteer-core` and set renderer.executablePath to an installed Chromium)"
+    );
+}
+
+/**
+ * Chromium proxy flags for a page, resolved like every other request (see http-agents.js): the
+ * source's `proxy`, else HTTPS_PROXY / HTTP_PROXY / ALL_PROXY, with NO_PROXY as the bypass list.
+ * Chromium takes no credentials in --proxy-server, so they are returned separately for page.authenticate.
+ * @returns {{ args: string[], credentials: { username: string, password: string }|null }}
+ */
+function proxySettings(url, requestOptions) {
+    const option = requestOptions ? requestOptions.proxy : undefined;
+    const page = new URL(url);
+    const byScheme = ["http", "https"].map((scheme) => {
+        const target = new URL(page.toString());
+        target.protocol = scheme + ":";
+        return { scheme: scheme, proxy: proxyFor(target, option) };
+    }).filter((entry) => entry.proxy);
+    if (byScheme.length === 0) {
+        return { args: [], credentials: null };
+    }
+    let credentials = null;
+    const servers = byScheme.map((entry) => {
+        const proxyUrl = new URL(entry.proxy);
+        if (proxyUrl.username) {
+            credentials = { username: decodeURIComponent(proxyUrl.username), password: decodeURIComponent(proxyUrl.password) };
+        }
+        return { scheme: entry.scheme, server: proxyUrl.protocol + "//" + proxyUrl.host };
+    });
+    const single = servers.length === 2 && servers[0].server === servers[1].server;
+    const args = ["--proxy-server=" + (single ? servers[0].server : servers.map((entry) => entry.scheme + "=" + entry.server).join(";"))];
+    const noProxy = process.env.no_proxy || process.env.NO_PROXY || "";
+    const bypass = noProxy.split(/[\s,]+/).filter(Boolean).flatMap((entry) => {
+        const domain = entry.replace(/^\*?\./, "");
+        return entry === domain ? [domain, "*." + domain] : ["*." + domain];
+    });
+    if (bypass.length > 0) {
+        args.push("--proxy-bypass-list=" + bypass.join(";"));
+    }
+    return { args: args, credentials: credentials };
+}
+
+/**
+ * Chromium's sandbox stays on for the news pages (and their ads and third-party scripts); it is only
+ * turned off when running as root, where Chromium will not start with it. `renderer.args` can add
+ * "--no-sandbox" for systems whose kernel does not allow the sandbox.
+ */
+function sandboxArgs() {
+    return typeof process.getuid === "function" && process.getuid() === 0 ? ["--no-sandbox"] : [];
+}
+
+/** Shared browser per launch configuration, closed when idle. */
+function acquireBrowser(config, requestOptions, proxy) {
+    const args = sandboxArgs().concat("--disable-dev-shm-usage", proxy.args, config.args || []);
+    const insecure = !!(requestOptions && requestOptions.insecureTLS === true);
+    const launchOptions = {
+        headless: true,
+        args: args,
+        executablePath: config.executablePath || undefined,
+        acceptInsecureCerts: insecure,
+        ignoreHTTPSErrors: insecure
+    };
+    const key = JSON.stringify(launchOptions);
+    let entry = browsers.get(key);
+    if (!entry) {
+        entry = { browser: loadPuppeteer().launch(launchOptions), idleTimer: null, pages: 0 };
+        browsers.set(key, entry);
+        const forget = () => {
+            if (browsers.get(key) === entry) {
+                browsers.delete(key);
+                clearTimeout(entry.idleTimer);
+            }
+        };
+        // A crashed Chromium is dropped, so the next render launches a new one instead of failing on it
+        entry.browser.then(
+            (browser) => browser.on("disconnected", () => {
+                if (browsers.get(key) === entry) {
+                    Log.warn("MMM-IsraelNews: Headless browser disconnected; the next render starts a new one");
+                }
+                forget();
+            }),
+            forget
+        );
+        Log.info("MMM-IsraelNews: Launching headless browser for rendered-html sources");
+    }
+    clearTimeout(entry.idleTimer);
+    entry.pages++;
+    const release = () => {
+        entry.pages--;
+        if (entry.pages > 0) {
+            return;
+        }
+        entry.idleTimer = setTimeout(() => {
+            browsers.delete(key);
+            entry.browser.then((browser) => browser.close()).catch(() => {});
+        }, BROWSER_IDLE_MS);
+        entry.idleTimer.unref();
+    };
+    return { browser: entry.browser, release: release };
+}
+
+function renderWithPuppeteer(url, options, config) {
+    const proxy = proxySettings(url, options.requestOptions);
+    const { browser, release } = acquireBrowser(config, options.requestOptions, proxy);
+    return browser
+        .then(async (instance) => {
+            const page = await instance.newPage();
+            try {
+                if (proxy.credentials) {
+                    await page.authenticate(proxy.credentials);
+                }
+                const { "User-Agent": userAgent, ...headers } = options.headers || {};
+                if (userAgent) {
+                    await page.setUserAgent(userAgent);
+                }
+                await page.setExtraHTTPHeaders({ "Accept-Language": headers["Accept-Language"] || "he-IL,he;q=0.9" });
+                await page.goto(url, { waitUntil: "domcontentloaded", timeout: options.timeoutMs });
+                await page.waitForSelector(options.waitForSelector, { timeout: options.timeoutMs });
+                return { html: await page.content(), url: page.url() };
+            } finally {
+                await page.close().catch(() => {});
+            }
+        })
+        .finally(release);
+}
+
+/** browserless-compatible `POST {renderer.url}` (default http://localhost:3000/content), optional `token` query. */
+function renderWithService(url, options, config) {
+    const endpoint = new URL(config.url || "http://localhost:3000/content");
+    if (config.token) {
+        endpoint.searchParams.set("token", config.token);
+    }
+    return axios
+        .post(
+            endpoint.toString(),
+            {
+                url: url,
+                gotoOptions: { waitUntil: "domcontentloaded", timeout: options.timeoutMs },
+                waitForSelector: { selector: options.waitForSelector, timeout: options.timeoutMs },
+                setExtraHTTPHeaders: { "Accept-Language": (options.headers || {})["Accept-Language"] || "he-IL,he;q=0.9" }
+            },
+            {
+                // The page itself can take timeoutMs to load and again to show the selector
+                timeout: options.timeoutMs * 2 + 5000,
+                responseType: "text",
+                headers: { "Content-Type": "application/json" },
+                // Same proxy / CA settings as the source's own requests would use
+                ...axiosAgentOptions(endpoint.toString(), options.requestOptions)
+            }
+        )
+        .then((res) => ({ html: String(res.data), url: url }));
+}
+
+function renderWithModule(url, options, config) {
+    const modulePath = path.resolve(__dirname, config.module);
+    return Promise.resolve(require(modulePath).render(url, { ...options, rendererOptions: config })).then((result) =>
+        typeof result === "string" ? { html: result, url: url } : { html: String(result.html), url: result.url || url }
+    );
+}
+
+/**
+ * Rendered HTML of a page.
+ * @param {string} url - The page
+ * @param {{ renderer?: string|Object, waitForSelector: string, timeoutMs: number, headers?: Object, requestOptions?: Object }} options
+ *   `requestOptions` are the source's proxy / insecureTLS settings (the puppeteer renderer applies the proxy, NO_PROXY and `insecureTLS`)
+ * @returns {Promise<{ html: string, url: string }>} - The HTML and the final URL after redirects
+ */
+function renderPage(url, options) {
+    return Promise.resolve().then(() => {
+        const config = rendererConfig(options.renderer);
+        if (config.name === "puppeteer") {
+            return renderWithPuppeteer(url, options, config);
+        }
+        if (config.name === "http") {
+            return renderWithService(url, options, config);
+        }
+        if (config.name === "module") {
+            return renderWithModule(url, options, config);
+        }
+        throw new Error("Unknown renderer '" + config.name + "' (use \"puppeteer\", \"http\" or a module path)");
+    });
+}
+
+/** Short description of a `renderer` option for logs. */
+function rendererLabel(option) {
+    const config = rendererConfig(option);
+    return config.name === "module" ? config.module : config.name;
+}
+
+module.exports = {
+    renderPage,
+    rendererLabel
+};
@@ -0,0 +1,26 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+require("./module-stubs");
+const { decodeFeedBody } = require("../feed-utils");
+
+/** "שלום" in windows-1255 inside an RSS title, with the given XML declaration encoding. */
+function hebrewFeed(encoding) {
+    return Buffer.concat([
+        Buffer.from('<?xml version="1.0" encoding="' + encoding + '"?><rss><channel><title>', "latin1"),
+        Buffer.from([0xf9, 0xec, 0xe5, 0xed]),
+        Buffer.from("</title></channel></rss>", "latin1")
+    ]);
+}
+
+test("a Hebrew XML declaration wins over a Latin charset in the header", () => {
+    const decoded = decodeFeedBody(hebrewFeed("windows-1255"), "application/rss+xml; charset=ISO-8859-1");
+    assert.strictEqual(decoded.encoding, "windows-1255");
+    assert.ok(decoded.text.includes("<title>שלום</title>"));
+});
+
+test("the header charset is used when the declaration agrees or names no Hebrew charset", () => {
+    assert.strictEqual(decodeFeedBody(hebrewFeed("ISO-8859-8"), "text/xml; charset=iso-8859-8").encoding, "iso-8859-8");
+    assert.strictEqual(decodeFeedBody(hebrewFeed("utf-8"), "text/xml; charset=windows-1255").encoding, "windows-1255");
+    const utf8 = Buffer.from('<?xml version="1.0" encoding="windows-1255"?><title>שלום</title>', "utf8");
+    assert.ok(decodeFeedBody(utf8, "text/xml; charset=utf-8").text.includes("שלום"));
+});
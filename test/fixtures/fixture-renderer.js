@@ -0,0 +1,22 @@
+/**
+ * Renderer module for the tests: loads the fixture page and does what its script would do in a
+ * browser (fills #live-news from the JSON block), without a browser.
+ */
+const axios = require("axios");
+const cheerio = require("cheerio");
+
+module.exports.calls = [];
+
+module.exports.render = (url, options) => {
+    module.exports.calls.push({ url: url, options: options });
+    return axios.get(url, { responseType: "text" }).then((res) => {
+        const $ = cheerio.load(res.data);
+        JSON.parse($("#live-news-data").text()).forEach((item) => {
+            const $row = $("<li class=\"live-item\"></li>");
+            $row.append($("<a></a>").attr("href", item.href).text(item.title));
+            $row.append($("<time></time>").attr("datetime", item.time));
+            $("#live-news").append($row);
+        });
+        return { html: $.html(), url: url };
+    });
+};
@@ -0,0 +1,44 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+require("./module-stubs");
+const { dedupeNewsItems, compileKeywordRules, filterByKeywords, compileUrgentRules, markUrgentItems } = require("../headline-utils");
+
+function keptTitles(titles, options) {
+    const rules = compileKeywordRules([{ options: options }]);
+    return filterByKeywords(titles.map((title) => ({ title: title })), rules).items.map((item) => item.title);
+}
+
+test("keywords match headline words behind Hebrew prefixes", () => {
+    assert.deepStrictEqual(
+        keptTitles(["פיגוע בירושלים", "ובירושלים נמשכים העימותים", "גשם בצפון"], { excludeKeywords: ["ירושלים"] }),
+        ["גשם בצפון"]
+    );
+});
+
+test("a keyword's own first letter is not taken for a prefix", () => {
+    assert.deepStrictEqual(
+        keptTitles(["הנערה חזרה לביתה בשלום", "שביתה כללית במשק", "והשביתה נמשכת"], { excludeKeywords: ["שביתה"] }),
+        ["הנערה חזרה לביתה בשלום"]
+    );
+});
+
+test("urgent keywords do not match a different word that ends the same way", () => {
+    const rules = compileUrgentRules([{ keywords: ["מבזק"] }]);
+    const items = markUrgentItems([{ title: "מבזק: אזעקה בשדרות" }, { title: "מניית בזק זינקה בבורסה" }], rules);
+    assert.deepStrictEqual(items.map((item) => !!item.urgent), [true, false]);
+});
+
+test("near-identical headlines merge across sources but not within one source", () => {
+    const at = (minutes) => new Date(Date.UTC(2025, 5, 1, 9, minutes)).toISOString();
+    const items = [
+        { source: "ynet", title: "אזעקה בשדרות ובעוטף עזה", pubDate: at(50) },
+        { source: "ynet", title: "אזעקה בשדרות ובעוטף עזה", pubDate: at(0) },
+        { source: "walla", title: "אזעקה בשדרות ובעוטף עזה", pubDate: at(52) }
+    ];
+    const result = dedupeNewsItems(items, { windowMinutes: 90 });
+    assert.strictEqual(result.merged, 1);
+    assert.deepStrictEqual(result.items.map((item) => [item.pubDate, item.sources]), [
+        [at(50), ["ynet", "walla"]],
+        [at(0), undefined]
+    ]);
+});
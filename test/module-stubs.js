@@ -0,0 +1,22 @@
+/**
+ * Stand-ins for modules the tests cannot load for real: `node_helper` and `logger` are provided by
+ * MagicMirror at runtime, and a test can register others (e.g. a fake `puppeteer`) with stubModule.
+ */
+const Module = require("module");
+
+const stubs = new Map();
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function(request, ...rest) {
+    return stubs.has(request) ? request : resolveFilename.call(this, request, ...rest);
+};
+
+function stubModule(name, exports) {
+    stubs.set(name, exports);
+    require.cache[name] = { id: name, filename: name, loaded: true, exports: exports };
+}
+
+stubModule("node_helper", { create: (definition) => definition });
+stubModule("logger", { log() {}, info() {}, warn() {}, error() {}, debug() {} });
+
+module.exports = { stubModule };